@@ -15,9 +15,13 @@
 
 const NewRelic = require('./lib/newrelic');
 const Metrics = require('./lib/metrics');
+const EventApiExporter = require('./lib/exporter/event-api');
+const ConsoleExporter = require('./lib/exporter/console');
 
 
 module.exports = {
     Metrics,
-    NewRelic
+    NewRelic,
+    EventApiExporter,
+    ConsoleExporter
 };
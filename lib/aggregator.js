@@ -0,0 +1,139 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+const Metrics = require('./metrics');
+
+const METRIC_TYPES = ["gauge", "count", "summary"];
+
+// metrics with the same name, type and attributes are aggregated together
+function metricKey(name, type, attributes) {
+    const sortedAttributes = Object.keys(attributes).sort().map(key => [key, attributes[key]]);
+    return JSON.stringify([name, type, sortedAttributes]);
+}
+
+/**
+ * Aggregates dimensional metrics in memory over an interval, and returns them
+ * in the NewRelic Metric API format when harvested.
+ *
+ * https://docs.newrelic.com/docs/telemetry-data-platform/ingest-apis/report-metrics-metric-api
+ */
+class MetricAggregator {
+
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.metrics = new Map();
+        this.intervalStart = Metrics.timestamp();
+    }
+
+    /**
+     * Record a metric value.
+     *
+     * - gauge: the last recorded value is kept
+     * - count: the values are added up
+     * - summary: count, sum, min and max of the values are kept
+     *
+     * @param {String} type metric type: gauge, count or summary
+     * @param {String} name metric name
+     * @param {Number} value metric value
+     * @param {Object} attributes [OPTIONAL] attributes (dimensions) of the metric
+     * @returns {Boolean} true if the value was recorded, false if it was invalid
+     */
+    record(type, name, value, attributes={}) {
+        if (!METRIC_TYPES.includes(type)) {
+            console.error(`Unknown metric type '${type}' for metric '${name}'`);
+            return false;
+        }
+        if (typeof name !== "string" || name.length === 0) {
+            console.error(`Invalid name for ${type} metric: ${name}`);
+            return false;
+        }
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+            console.error(`Invalid value for ${type} metric '${name}': ${value}`);
+            return false;
+        }
+
+        try {
+            attributes = Metrics.flatten(attributes || {});
+        } catch (e) {
+            console.error(`Invalid attributes for ${type} metric '${name}': ${e.message}`);
+            return false;
+        }
+        const key = metricKey(name, type, attributes);
+        const metric = this.metrics.get(key);
+
+        if (!metric) {
+            this.metrics.set(key, {
+                name,
+                type,
+                value: type === "summary" ? { count: 1, sum: value, min: value, max: value } : value,
+                attributes
+            });
+        } else if (type === "gauge") {
+            metric.value = value;
+        } else if (type === "count") {
+            metric.value += value;
+        } else {
+            metric.value.count += 1;
+            metric.value.sum += value;
+            metric.value.min = Math.min(metric.value.min, value);
+            metric.value.max = Math.max(metric.value.max, value);
+        }
+        return true;
+    }
+
+    isEmpty() {
+        return this.metrics.size === 0;
+    }
+
+    /**
+     * Returns the metrics aggregated since the last harvest as NewRelic Metric API payload
+     * and starts a new interval.
+     *
+     * @param {Object} commonAttributes attributes to include with all metrics
+     * @returns {Object} Metric API payload with `common` and `metrics`, or undefined
+     * if no metrics were recorded
+     */
+    harvest(commonAttributes={}) {
+        if (this.isEmpty()) {
+            return undefined;
+        }
+        const now = Metrics.timestamp();
+        const payload = {
+            common: {
+                timestamp: this.intervalStart,
+                "interval.ms": Math.max(1, now - this.intervalStart),
+                attributes: Metrics.flatten(commonAttributes)
+            },
+            metrics: Array.from(this.metrics.values()).map(metric => {
+                const result = {
+                    name: metric.name,
+                    type: metric.type,
+                    value: metric.value
+                };
+                if (Object.keys(metric.attributes).length > 0) {
+                    result.attributes = metric.attributes;
+                }
+                return result;
+            })
+        };
+        this.reset();
+        return payload;
+    }
+}
+
+module.exports = MetricAggregator;
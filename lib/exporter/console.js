@@ -0,0 +1,50 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Exporter writing metric events as newline delimited JSON (NDJSON), one event per line,
+ * to stdout or a file instead of sending them to NewRelic. Used for dry runs, to see
+ * exactly what NewRelic would receive.
+ */
+class ConsoleExporter {
+
+    /**
+     * @param {Object} options [OPTIONAL] exporter options
+     * @param {String} options.file [OPTIONAL] file to append the events to, for example
+     * `/tmp/newrelic-metrics.ndjson`. Defaults to stdout.
+     */
+    constructor(options={}) {
+        this.file = options.file;
+    }
+
+    async export(batch) {
+        const lines = batch.map(event => JSON.stringify(event));
+        if (this.file) {
+            await fs.promises.appendFile(this.file, lines.map(line => `${line}\n`).join(""));
+        } else {
+            for (const line of lines) {
+                console.log(line);
+            }
+        }
+    }
+
+    shutdown() {
+        // nothing to clean up, the file is not kept open
+    }
+}
+
+module.exports = ConsoleExporter;
@@ -0,0 +1,147 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+const fetch = require('node-fetch');
+const { promisify } = require('util');
+const gzip = promisify(require('zlib').gzip);
+
+// Do not reuse this user agent for anything other than sending metrics to newrelic insights.
+// This user agent value is used to identify those requests in order to ignore them from
+// http request metrics in lib/probe/http-client.js
+const USER_AGENT = "adobe-openwhisk-newrelic/1.0";
+
+// New Relic Insights has a limit of 1 MB for one (gzipped) POST request
+// https://docs.newrelic.com/docs/insights/insights-data-sources/custom-data/insights-custom-data-requirements-limits
+const MAX_PAYLOAD_BYTES = 1000000;
+
+// 408 Request Timeout, 429 Too Many Requests and all 5xx server errors
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+function isRetryable(status) {
+    return status >= 500 || RETRYABLE_STATUS_CODES.includes(status);
+}
+
+// Retry-After header is either a number of seconds or a http date
+function parseRetryAfter(retryAfter) {
+    if (!retryAfter) {
+        return undefined;
+    }
+    if (/^\s*\d+\s*$/.test(retryAfter)) {
+        return parseInt(retryAfter, 10) * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (isNaN(date)) {
+        return undefined;
+    }
+    return Math.max(0, date - Date.now());
+}
+
+/**
+ * @typedef Exporter
+ * @type {Object}
+ * @property {Function} export async function receiving a batch, an array of flattened
+ * metric events, to send to a backend. Must throw an error if sending failed. If the
+ * error has `retryable` set to true, the batch will be retried later, after the
+ * `retryAfter` milliseconds if set on the error. If only part of the batch was sent,
+ * the error should have `unsent` set to the metric events that still have to be sent,
+ * so that events are not sent twice on retry.
+ * @property {Function} shutdown [OPTIONAL] called when the send queue is stopped
+ */
+
+/**
+ * Exporter sending metric events to the NewRelic Insights Event API.
+ * This is the default exporter.
+ */
+class EventApiExporter {
+
+    /**
+     * @param {Object} options exporter options
+     * @param {String} options.url URL pointing to the NewRelic Insert API
+     * @param {String} options.apiKey API key to use with the NewRelic Insert API
+     * @param {Object} options.headers [OPTIONAL] additional http headers to send
+     */
+    constructor(options) {
+        this.url = options.url;
+        this.apiKey = options.apiKey;
+        this.headers = options.headers;
+    }
+
+    async export(batch) {
+        const body = await gzip(JSON.stringify(batch));
+
+        // batches are packed by their JSON size, with a configured batch size above
+        // the limit the gzipped payload could still be too large
+        if (body.length > MAX_PAYLOAD_BYTES) {
+            if (batch.length === 1) {
+                throw new Error(`Metrics event is ${body.length} bytes gzipped, which exceeds the limit of ${MAX_PAYLOAD_BYTES} bytes`);
+            }
+            const half = Math.ceil(batch.length / 2);
+            try {
+                await this.export(batch.slice(0, half));
+            } catch (e) {
+                // the second half was not sent either
+                e.unsent = (e.unsent || batch.slice(0, half)).concat(batch.slice(half));
+                throw e;
+            }
+            try {
+                await this.export(batch.slice(half));
+            } catch (e) {
+                // the first half was sent, only the second half must be retried
+                e.unsent = e.unsent || batch.slice(half);
+                throw e;
+            }
+            return;
+        }
+
+        console.log(`Sending ${batch.length} queued metrics (${body.length} bytes gzipped) to ${this.url}`);
+        let response;
+        try {
+            // POST to https://insights-collector.newrelic.com/....
+            response = await fetch(this.url, {
+                method: "POST",
+                headers: {
+                    ...this.headers,
+                    "X-Insert-Key": this.apiKey,
+                    "Content-Type": "application/json",
+                    "Content-Encoding": "gzip",
+                    "User-Agent": USER_AGENT
+                },
+                body: body
+            });
+        } catch (e) {
+            // network or connection error
+            e.retryable = true;
+            throw e;
+        }
+
+        // Event API responds with 200, Metric API with 202 Accepted
+        if (!response.ok) {
+            const error = new Error(`Error sending NewRelic metrics with status ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            error.retryable = isRetryable(response.status);
+            error.retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+            throw error;
+        }
+        console.log(`Metrics successfully sent to NewRelic, response: ${JSON.stringify(await response.json())}`);
+    }
+
+    shutdown() {
+        // nothing to clean up, requests are independent
+    }
+}
+
+EventApiExporter.USER_AGENT = USER_AGENT;
+
+module.exports = EventApiExporter;
@@ -0,0 +1,46 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+const EventApiExporter = require('./event-api');
+
+// US region, for the EU region use https://metric-api.eu.newrelic.com/metric/v1
+const DEFAULT_METRIC_API_URL = "https://metric-api.newrelic.com/metric/v1";
+
+/**
+ * Exporter sending dimensional metrics to the NewRelic Metric API. The batches contain
+ * Metric API payloads with `common` and `metrics` (See aggregator.js) instead of events.
+ * Requests, limits and error handling are the same as for the Event API.
+ *
+ * https://docs.newrelic.com/docs/telemetry-data-platform/ingest-apis/report-metrics-metric-api
+ */
+class MetricApiExporter extends EventApiExporter {
+
+    /**
+     * @param {Object} options exporter options
+     * @param {String} options.url [OPTIONAL] URL pointing to the NewRelic Metric API,
+     * defaults to the US region
+     * @param {String} options.apiKey Insert API key to use with the NewRelic Metric API
+     */
+    constructor(options) {
+        super({
+            ...options,
+            url: options.url || DEFAULT_METRIC_API_URL
+        });
+    }
+}
+
+MetricApiExporter.DEFAULT_URL = DEFAULT_METRIC_API_URL;
+
+module.exports = MetricApiExporter;
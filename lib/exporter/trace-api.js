@@ -0,0 +1,50 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+const EventApiExporter = require('./event-api');
+
+// US region, for the EU region use https://trace-api.eu.newrelic.com/trace/v1
+const DEFAULT_TRACE_API_URL = "https://trace-api.newrelic.com/trace/v1";
+
+/**
+ * Exporter sending spans to the NewRelic Trace API. The batches contain Trace API payloads
+ * in the `newrelic` data format with `common` and `spans` (See trace.js) instead of events.
+ * Requests, limits and error handling are the same as for the Event API.
+ *
+ * https://docs.newrelic.com/docs/understand-dependencies/distributed-tracing/trace-api/report-new-relic-format-traces-trace-api
+ */
+class TraceApiExporter extends EventApiExporter {
+
+    /**
+     * @param {Object} options exporter options
+     * @param {String} options.url [OPTIONAL] URL pointing to the NewRelic Trace API,
+     * defaults to the US region
+     * @param {String} options.apiKey Insert API key to use with the NewRelic Trace API
+     */
+    constructor(options) {
+        super({
+            ...options,
+            url: options.url || DEFAULT_TRACE_API_URL,
+            headers: {
+                "Data-Format": "newrelic",
+                "Data-Format-Version": "1"
+            }
+        });
+    }
+}
+
+TraceApiExporter.DEFAULT_URL = DEFAULT_TRACE_API_URL;
+
+module.exports = TraceApiExporter;
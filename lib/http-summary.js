@@ -0,0 +1,116 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+const PERCENTILE = 0.95;
+
+// status class of a response, such as "2xx", or "error" if there was no response
+function statusClass(metrics) {
+    const code = metrics.responseCode;
+    if (metrics.error || typeof code !== "number") {
+        return "error";
+    }
+    return `${Math.floor(code / 100)}xx`;
+}
+
+// nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+    return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+// requests without response or with a server error response
+function isFailed(metrics) {
+    return Boolean(metrics.error) || metrics.responseCode >= 500;
+}
+
+function size(value) {
+    return typeof value === "number" && Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Rolls up the `http` event metrics of an activation per domain, method and status class,
+ * to send one `httpSummary` event per group instead of an event per request.
+ */
+class HttpSummary {
+
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.groups = new Map();
+    }
+
+    /**
+     * Record the metrics of a http request, as reported by the http client probes.
+     *
+     * @param {Object} metrics http request metrics
+     */
+    record(metrics) {
+        const group = {
+            domain: metrics.domain,
+            method: metrics.method,
+            statusClass: statusClass(metrics)
+        };
+        const key = JSON.stringify([group.domain, group.method, group.statusClass]);
+        let summary = this.groups.get(key);
+        if (!summary) {
+            summary = {
+                ...group,
+                count: 0,
+                errorCount: 0,
+                requestBodySize: 0,
+                responseBodySize: 0,
+                durations: []
+            };
+            this.groups.set(key, summary);
+        }
+        summary.count += 1;
+        if (isFailed(metrics)) {
+            summary.errorCount += 1;
+        }
+        summary.requestBodySize += size(metrics.requestBodySize);
+        summary.responseBodySize += size(metrics.responseBodySize);
+        if (typeof metrics.duration === "number" && Number.isFinite(metrics.duration)) {
+            summary.durations.push(metrics.duration);
+        }
+    }
+
+    /**
+     * Returns the summary of each group recorded since the last harvest and resets them.
+     *
+     * @returns {Object[]} summaries with `domain`, `method`, `statusClass`, `count`, `errorCount`,
+     * total `requestBodySize` and `responseBodySize`, and `duration` with `min`, `max`, `mean`
+     * and `p95` in milliseconds
+     */
+    harvest() {
+        const summaries = [];
+        for (const { durations, ...summary } of this.groups.values()) {
+            if (durations.length > 0) {
+                const sorted = durations.sort((a, b) => a - b);
+                summary.duration = {
+                    min: sorted[0],
+                    max: sorted[sorted.length - 1],
+                    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+                    p95: percentile(sorted, PERCENTILE)
+                };
+            }
+            summaries.push(summary);
+        }
+        this.reset();
+        return summaries;
+    }
+}
+
+module.exports = HttpSummary;
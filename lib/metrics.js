@@ -18,6 +18,8 @@ const fs = require('fs');
 const dotenv = require('dotenv');
 
 const DEFAULT_METRIC_TIMEOUT_MS = 60000; // default openwhisk action timeout
+const NS_PER_SEC = 1e9;
+const MS_PER_NS = 1e6;
 const DEFAULT_MAX_STRING_LENGTH = 100;
 const DEFAULT_ERROR_METRIC_MAX_STRING_LENGTH = process.env.NEW_RELIC_ERROR_METRIC_MAX_STRING_LENGTH || 1500;
 const ERROR_METRIC_NAMES = [
@@ -39,6 +41,22 @@ function timestamp() {
     return Date.now();
 }
 
+/**
+ * Calculates the time delta between two process.hrtime() results in milliseconds
+ *
+ * @param {Array} startTime start time as returned by process.hrtime()
+ * @param {Array} endTime end time as returned by process.hrtime()
+ * @returns {Number} Duration in milliseconds, or undefined if start or end time are missing
+ */
+function getDurationInMs(startTime, endTime) {
+    if (!startTime || !endTime) {
+        return undefined;
+    }
+    const deltaSec = endTime[0] - startTime[0];
+    const deltaNanos = endTime[1] - startTime[1];
+    return (deltaSec * NS_PER_SEC + deltaNanos) / MS_PER_NS;
+}
+
 /**
  * Calculates the time until the open whisk action timeout
  * @returns {Number} Time in milliseconds until the action will time out
@@ -188,6 +206,117 @@ function toMetricsObject(obj) {
     }
 }
 
+const ERROR_CATEGORY = Object.freeze({
+    USER: "user",
+    DEPENDENCY: "dependency",
+    TIMEOUT: "timeout",
+    UNKNOWN: "unknown"
+});
+
+const TIMEOUT_ERROR_CODES = [
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'ECONNABORTED',
+    'UND_ERR_CONNECT_TIMEOUT',
+    'UND_ERR_HEADERS_TIMEOUT',
+    'UND_ERR_BODY_TIMEOUT',
+    110 // ETIMEDOUT as set by the http-client probe
+];
+const TIMEOUT_ERROR_NAMES = [
+    'TimeoutError',
+    'AbortError'
+];
+const TIMEOUT_STATUS_CODES = [408, 504];
+
+const DEPENDENCY_ERROR_CODES = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'EPIPE',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'UND_ERR_SOCKET'
+];
+const DEPENDENCY_ERROR_NAMES = [
+    'FetchError',
+    'HTTPError',
+    'HttpError',
+    'RequestError',
+    'RestError',
+    'StatusCodeError'
+];
+
+const USER_ERROR_NAMES = [
+    'ArgumentError',
+    'ValidationError',
+    'ClientError',
+    'SourceFormatUnsupportedError',
+    'SourceUnsupportedError',
+    'SourceCorruptError',
+    'RenditionFormatUnsupportedError',
+    'RenditionTooLarge'
+];
+
+/**
+ * Get the HTTP status code associated with an error, if any.
+ *
+ * Looks at the `status` and `statusCode` fields of the error and its `response`,
+ * as set by common http client libraries.
+ *
+ * @param {Error} error Error
+ * @returns {Number} HTTP status code or undefined
+ */
+function errorStatusCode(error) {
+    const candidates = [error.status, error.statusCode];
+    if (error.response && typeof error.response === "object") {
+        candidates.push(error.response.status, error.response.statusCode);
+    }
+    for (const candidate of candidates) {
+        const status = parseInt(candidate, 10);
+        if (status >= 100 && status < 600) {
+            return status;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Classify an error based on its `code`, `name` and HTTP status fields.
+ *
+ * Categories:
+ * - `timeout`: timeouts, e.g. code `ETIMEDOUT` or status 408/504
+ * - `dependency`: failed http requests or connections to other services, e.g. code `ECONNRESET` or status 5xx/429
+ * - `user`: invalid input, e.g. status 4xx or a `ValidationError`
+ * - `unknown`: everything else
+ *
+ * @param {Error} error Error to classify
+ * @returns {String} error category, one of the values of `ERROR_CATEGORY`
+ */
+function classifyError(error) {
+    if (!error || typeof error !== "object") {
+        return ERROR_CATEGORY.UNKNOWN;
+    }
+    const status = errorStatusCode(error);
+
+    if (TIMEOUT_ERROR_CODES.includes(error.code)
+        || TIMEOUT_ERROR_NAMES.includes(error.name)
+        || TIMEOUT_STATUS_CODES.includes(status)) {
+        return ERROR_CATEGORY.TIMEOUT;
+    }
+    if (DEPENDENCY_ERROR_CODES.includes(error.code)
+        || DEPENDENCY_ERROR_NAMES.includes(error.name)
+        || status >= 500
+        || status === 429) {
+        return ERROR_CATEGORY.DEPENDENCY;
+    }
+    if (USER_ERROR_NAMES.includes(error.name)
+        || (status >= 400 && status < 500)) {
+        return ERROR_CATEGORY.USER;
+    }
+    return ERROR_CATEGORY.UNKNOWN;
+}
+
 /**
  * Flatten metrics object.
  *
@@ -241,10 +370,108 @@ function flatten(metrics, parentKey) {
 }
 
 
+// attribute names whose values are always redacted
+const DEFAULT_REDACT_KEY_PATTERNS = [
+    /password|passwd|secret|token|authorization|api[-_]?key|credential|cookie/i
+];
+
+// sum of the digits doubling every second one from the right must be divisible by 10
+function isLuhnValid(number) {
+    const digits = number.replace(/\D/g, "");
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i], 10);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// sensitive data in attribute values, replaced wherever found in a string value
+const DEFAULT_REDACT_VALUE_PATTERNS = [
+    // JSON web tokens, also if truncated
+    /eyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]*(\.[A-Za-z0-9_-]+)?/g,
+    // email addresses
+    /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    // credit card numbers, 13 to 19 digits optionally separated by spaces or dashes
+    { pattern: /\b\d(?:[ -]?\d){12,18}\b/g, validate: isLuhnValid }
+];
+
+const DEFAULT_REDACT_PLACEHOLDER = "[REDACTED]";
+
+function globalRegExp(regex) {
+    return regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`);
+}
+
+/**
+ * @typedef RedactOptions
+ * @type {Object}
+ * @property {RegExp[]} keyPatterns [OPTIONAL] Patterns of attribute names whose values are redacted.
+ * Defaults to names containing password, secret, token, authorization, apikey, credential or cookie.
+ * @property {RegExp[]} valuePatterns [OPTIONAL] Patterns of sensitive data replaced in string values.
+ * Defaults to JSON web tokens, email addresses and credit card numbers.
+ * @property {String} placeholder [OPTIONAL] Replacement for redacted values. Defaults to `[REDACTED]`.
+ */
+
+/**
+ * Redact sensitive attributes of a flattened metrics object in place.
+ *
+ * Behavior:
+ * - Values of attributes with names matching the key patterns are replaced with the placeholder
+ * - Parts of string values matching the value patterns are replaced with the placeholder
+ *
+ * @param {Object} metrics flattened metrics object (See flatten())
+ * @param {RedactOptions} options [OPTIONAL] redaction options
+ * @returns {Number} number of redacted attributes
+ */
+function redact(metrics, options={}) {
+    const keyPatterns = options.keyPatterns || DEFAULT_REDACT_KEY_PATTERNS;
+    const valuePatterns = options.valuePatterns || DEFAULT_REDACT_VALUE_PATTERNS;
+    const placeholder = options.placeholder || DEFAULT_REDACT_PLACEHOLDER;
+
+    let count = 0;
+    for (const [key, value] of Object.entries(metrics)) {
+        if (value === placeholder) {
+            continue;
+        }
+        const keyMatches = keyPatterns.some(pattern => {
+            pattern.lastIndex = 0;
+            return pattern.test(key);
+        });
+        if (keyMatches) {
+            metrics[key] = placeholder;
+            count++;
+
+        } else if (typeof value === "string") {
+            let redacted = value;
+            for (const valuePattern of valuePatterns) {
+                const pattern = globalRegExp(valuePattern.pattern || valuePattern);
+                const validate = valuePattern.validate || (() => true);
+                redacted = redacted.replace(pattern, match => validate(match) ? placeholder : match);
+            }
+            if (redacted !== value) {
+                metrics[key] = redacted;
+                count++;
+            }
+        }
+    }
+    return count;
+}
 
 module.exports = {
     timestamp,
     openwhisk,
     flatten,
-    timeUntilTimeout
+    timeUntilTimeout,
+    getDurationInMs,
+    toMetricsObject,
+    classifyError,
+    errorStatusCode,
+    redact,
+    ERROR_CATEGORY
 };
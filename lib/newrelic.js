@@ -15,17 +15,38 @@
 
 const Metrics = require('./metrics');
 const sendQueue = require('./queue');
+const MetricAggregator = require('./aggregator');
+const HttpSummary = require('./http-summary');
+const trace = require('./trace');
 
 const httpClientProbe = require('./probe/http-client');
+const undiciProbe = require('./probe/undici');
+const http2Probe = require('./probe/http2');
 const cls = require('cls-hooked');
 
 const CLS_NAMESPACE = "openwhisk-newrelic";
 const CLS_KEY_NEWRELIC = "NewRelic";
+const CLS_KEY_SPAN = "Span";
 const activationVars = cls.createNamespace(CLS_NAMESPACE);
 
 // time before an action timeout when to send timeout metrics
 const TIMEOUT_BUFFER = 5000;
 
+// types of error fields sent as errorDetails
+const LITERAL_TYPES = ["string", "number", "boolean", "bigint"];
+
+// passed to the functions run by span() if tracing is disabled
+const NOOP_SPAN = Object.freeze({
+    add() {},
+    end() {
+        return false;
+    }
+});
+
+function hasExporters(options) {
+    return Array.isArray(options.exporters) && options.exporters.length > 0;
+}
+
 function isBlankString(str){
     if(str === null || str === undefined || typeof str !== 'string'){
         return true;
@@ -33,16 +54,66 @@ function isBlankString(str){
     return (/^\s*$/).test(str);
 }
 
+// dry run is enabled with true (write to stdout) or a file path, either
+// from the options or the OPENWHISK_NEWRELIC_DRY_RUN environment variable
+function getDryRun(options) {
+    let dryRun = options && options.dryRun;
+    if (dryRun === undefined || dryRun === null) {
+        dryRun = process.env.OPENWHISK_NEWRELIC_DRY_RUN;
+    }
+    if (dryRun === true || dryRun === "true") {
+        return true;
+    }
+    if (isBlankString(dryRun) || dryRun === "false") {
+        return false;
+    }
+    return dryRun.trim();
+}
+
 /**
  * @typedef NewRelicOptions
  * @type {Object}
  * @property {String} newRelicEventsURL URL pointing to the NewRelic Insert API
  * @property {String} newRelicApiKey API key to use with the NewRelic Insert API
+ * @property {String} newRelicMetricsURL [OPTIONAL] URL pointing to the NewRelic Metric API, used for
+ * dimensional metrics (See gauge(), count() and summary()). Defaults to the US region
+ * `https://metric-api.newrelic.com/metric/v1`.
+ * @property {Exporter[]} exporters [OPTIONAL] Exporters to send the metric events to, instead
+ * of the NewRelic Insert API configured by newRelicEventsURL and newRelicApiKey. An exporter is
+ * an object with an async `export(batch)` and a `shutdown()` function (See exporter/event-api.js).
+ * @property {Boolean|String} dryRun [OPTIONAL] Write metric events as NDJSON to stdout (true) or
+ * to the given file, such as `/tmp/newrelic-metrics.ndjson`, instead of sending them to NewRelic.
+ * Can also be set using the OPENWHISK_NEWRELIC_DRY_RUN environment variable.
+ * newRelicEventsURL and newRelicApiKey are not required then.
  * @property {Number} sendIntervalMs [OPTIONAL] Interval at which to send metric events
  * to NewRelic. Defaults to 10 seconds.
+ * @property {Number} sendMaxRetries [OPTIONAL] How often to retry sending metric events to
+ * NewRelic on rate limiting, server or connection errors. Defaults to 3.
+ * @property {Number} flushTimeoutMs [OPTIONAL] Maximum time flush() waits for metrics to be sent.
+ * Defaults to 5 seconds.
+ * @property {Number} maxBatchBytes [OPTIONAL] Maximum size in bytes of the JSON of the metric
+ * events sent to NewRelic in one request. Defaults to 1 MB, the limit of the NewRelic Insert API.
+ * @property {Boolean} injectTraceContext [OPTIONAL] Add W3C trace context headers (`traceparent`)
+ * to outgoing http requests captured by the http instrumentation. Can also be enabled using the
+ * OPENWHISK_NEWRELIC_INJECT_TRACE_CONTEXT environment variable.
+ * @property {Boolean} tracing [OPTIONAL] Send distributed traces to the NewRelic Trace API, with a root
+ * span for the activation, child spans for http requests and custom spans (See span()). Can also be
+ * enabled using the OPENWHISK_NEWRELIC_TRACING environment variable.
+ * @property {String} newRelicTracesURL [OPTIONAL] URL pointing to the NewRelic Trace API. Defaults to
+ * the US region `https://trace-api.newrelic.com/trace/v1`.
+ * @property {Object} __ow_headers [OPTIONAL] Request headers of a web action, as passed in the action
+ * params. A W3C `traceparent` header is used to continue the caller's trace (See README).
+ * @property {Function} beforeSend [OPTIONAL] Hook called with each event before it is flattened
+ * and queued for sending, including the automatic `http`, `activation`, `error` and `timeout` events.
+ * It can change the event in place or return a new event object, or return null to drop the event.
+ * @property {RedactOptions|Boolean} redact [OPTIONAL] Options for redacting sensitive attributes such
+ * as passwords, tokens and email addresses (See `redact` in metrics.js), or false to disable redaction.
+ * Redaction can also be disabled using the OPENWHISK_NEWRELIC_DISABLE_REDACTION environment variable.
  * @property {Function} actionTimeoutMetricsCb [OPTIONAL] Callback function that
  * is used when action is about to reach timeout
  * @property {Boolean} disableActionTimeout [OPTIONAL] Disable action timeout metrics
+ * @property {Boolean} disableActivationEvent [OPTIONAL] Disable the `activation` event
+ * sent by activationFinished()
  */
 
 /**
@@ -58,26 +129,52 @@ class NewRelic {
      */
     constructor(options, defaultMetrics={}) {
 
-        this.defaultMetrics = Object.assign(Metrics.openwhisk(), defaultMetrics);
+        this.startTime = Date.now();
+        this.deadline = Number(process.env.__OW_DEADLINE) || undefined;
+        // trace id of this activation, for W3C trace context propagation
+        this.traceId = trace.newTraceId();
+        this.defaultMetrics = Object.assign(Metrics.openwhisk(), continueTrace(this, options), defaultMetrics);
+        // counters and recorded values from increment() and record()
+        this.counters = {};
         this.canSendMetrics = false;
+        const dryRun = getDryRun(options);
 
         if (process.env.OPENWHISK_NEWRELIC_DISABLE_METRICS === 'true') {
             console.error('Sending of New Relic Metrics have been disabled.');
 
-        } else if (!options ||
+        } else if (!dryRun && (!options || (!hasExporters(options) && (
             isBlankString(options.newRelicEventsURL) ||
             isBlankString(options.newRelicApiKey)
-        ) {
+        )))) {
             console.error('Missing NewRelic events Api Key or URL. Metrics disabled.');
 
         } else {
-            sendQueue.start(options.newRelicEventsURL, options.newRelicApiKey, options.sendIntervalMs);
+            options = { ...options, dryRun };
+
+            // each activation sends to its own endpoint and account, but shares
+            // the queue with other activations sending to the same one
+            this.queue = sendQueue.getQueue(options);
+            // dimensional metrics are aggregated per activation and sent to the Metric API
+            this.metricQueue = sendQueue.getMetricQueue(options);
+            this.metricAggregator = new MetricAggregator();
 
             // track this object per activation for global http metrics
             if (activationVars && activationVars.active) {
                 activationVars.set(CLS_KEY_NEWRELIC, this);
             }
 
+            if (options.redact !== false && process.env.OPENWHISK_NEWRELIC_DISABLE_REDACTION !== 'true') {
+                this.redactOptions = typeof options.redact === 'object' ? options.redact : {};
+            }
+
+            if (options.beforeSend) {
+                if (typeof options.beforeSend === 'function') {
+                    this.beforeSend = options.beforeSend;
+                } else {
+                    console.error('beforeSend is not a proper function.');
+                }
+            }
+
             if (options.actionTimeoutMetricsCb && typeof options.actionTimeoutMetricsCb !== 'function') {
                 console.error('Action timeout is not a proper function.');
                 delete options.actionTimeoutMetricsCb;
@@ -86,6 +183,12 @@ class NewRelic {
             if (!options.disableActionTimeout && !process.env.DISABLE_ACTION_TIMEOUT_METRIC ) {
                 this.actionTimeoutHandlerId = sendMetricsOnActionTimeout(this, options.actionTimeoutMetricsCb);
             }
+            this.disableActivationEvent = options.disableActivationEvent || process.env.DISABLE_ACTIVATION_METRIC;
+            this.flushTimeoutMs = options.flushTimeoutMs;
+            this.injectTraceContext = options.injectTraceContext || process.env.OPENWHISK_NEWRELIC_INJECT_TRACE_CONTEXT === 'true';
+            if (options.tracing || process.env.OPENWHISK_NEWRELIC_TRACING === 'true') {
+                startTracing(this, options);
+            }
             this.canSendMetrics = true;
         }
     }
@@ -102,20 +205,347 @@ class NewRelic {
     }
 
     /**
-     * Returns the default metrics and collected metrics from add() invocations.
+     * Returns the default metrics and collected metrics from add() invocations,
+     * as well as the counters from increment() and record() invocations.
      *
      * @returns {object} metrics, key value pairs as object members
      */
     get() {
-        return this.defaultMetrics;
+        return { ...this.defaultMetrics, ...counterMetrics(this) };
+    }
+
+    /**
+     * Increment a counter during the activation, such as the number of processed files.
+     * Counters are sent with the `timeout` and `activation` events and returned by get().
+     *
+     * @param {String} name counter name
+     * @param {Number} by [OPTIONAL] value to add to the counter, defaults to 1
+     */
+    increment(name, by=1) {
+        if (typeof by !== "number" || !Number.isFinite(by)) {
+            console.error(`Invalid value for counter '${name}': ${by}`);
+            return;
+        }
+        const counter = this.counters[name];
+        if (counter !== undefined && typeof counter !== "number") {
+            console.error(`Cannot increment '${name}' as it is used with record()`);
+            return;
+        }
+        this.counters[name] = (counter || 0) + by;
+    }
+
+    /**
+     * Record a value during the activation, such as a file size. The running count, sum,
+     * min, max and mean of the values are sent as `<name>_count`, `<name>_sum`, `<name>_min`,
+     * `<name>_max` and `<name>_mean` with the `timeout` and `activation` events and
+     * returned by get().
+     *
+     * @param {String} name name of the recorded values
+     * @param {Number} value value to record
+     */
+    record(name, value) {
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+            console.error(`Invalid value for '${name}': ${value}`);
+            return;
+        }
+        const values = this.counters[name];
+        if (values === undefined) {
+            this.counters[name] = { count: 1, sum: value, min: value, max: value };
+        } else if (typeof values !== "object") {
+            console.error(`Cannot record '${name}' as it is used with increment()`);
+        } else {
+            values.count += 1;
+            values.sum += value;
+            values.min = Math.min(values.min, value);
+            values.max = Math.max(values.max, value);
+        }
+    }
+
+    /**
+     * @typedef TimerOptions
+     * @type {Object}
+     * @property {String} eventType [OPTIONAL] Also send a dedicated event of this type with
+     * `timerName`, `duration` and `successful` (plus `errorName` and `errorMessage` on failure)
+     */
+    /**
+     * Start a timer measuring a custom duration with high resolution, using process.hrtime().
+     *
+     * When stopped, the duration in milliseconds is added to the default metrics (See add())
+     * as `<name>Duration`. If stopped with an error, also `<name>ErrorName` and
+     * `<name>ErrorMessage` are added.
+     *
+     * @param {String} name name of the duration, such as `download`
+     * @param {TimerOptions} options [OPTIONAL] timer options
+     * @returns {Function} function to stop the timer, optionally with an error, returning the
+     * duration in milliseconds. Only the first invocation records the duration.
+     */
+    startTimer(name, options={}) {
+        const startTime = process.hrtime();
+        let duration;
+
+        return (error) => {
+            if (duration !== undefined) {
+                return duration;
+            }
+            duration = Metrics.getDurationInMs(startTime, process.hrtime());
+
+            const metrics = {
+                [`${name}Duration`]: duration
+            };
+            if (error) {
+                metrics[`${name}ErrorName`] = error.name;
+                metrics[`${name}ErrorMessage`] = error.message;
+            }
+            this.add(metrics);
+
+            if (options.eventType) {
+                const event = {
+                    timerName: name,
+                    duration,
+                    successful: !error
+                };
+                if (error) {
+                    event.errorName = error.name;
+                    event.errorMessage = error.message;
+                }
+                this.send(options.eventType, event);
+            }
+            return duration;
+        };
+    }
+
+    /**
+     * Measure the duration of an async function (See startTimer()). If the function
+     * throws an error, it is recorded and rethrown.
+     *
+     * @param {String} name name of the duration, such as `download`
+     * @param {Function} fn async function to measure
+     * @param {TimerOptions} options [OPTIONAL] timer options
+     * @returns {Promise<*>} result of the function
+     */
+    async measure(name, fn, options) {
+        const stop = this.startTimer(name, options);
+        try {
+            const result = await fn();
+            stop();
+            return result;
+        } catch (e) {
+            stop(e);
+            throw e;
+        }
+    }
+
+    /**
+     * Run a custom code block in a span of the distributed trace (See `tracing` in NewRelicOptions).
+     * Spans started inside the function, including http requests, are children of this span.
+     * If the function throws an error, it is recorded on the span and rethrown.
+     *
+     * If tracing is disabled, the function is just invoked, with a span that ignores attributes.
+     *
+     * @param {String} name span name
+     * @param {Function} fn async function to run, receives the Span as argument to add attributes
+     * @param {Object} attributes [OPTIONAL] custom attributes of the span
+     * @returns {Promise<*>} result of the function
+     */
+    async span(name, fn, attributes) {
+        if (!this.tracing) {
+            return fn(NOOP_SPAN);
+        }
+        const span = new trace.Span({
+            name,
+            traceId: this.traceId,
+            parentId: currentSpanId(this),
+            attributes
+        });
+        return activationVars.runAndReturn(async () => {
+            activationVars.set(CLS_KEY_SPAN, span);
+            try {
+                const result = await fn(span);
+                span.end();
+                return result;
+            } catch (e) {
+                span.end(e);
+                throw e;
+            } finally {
+                this.finishedSpans.push(span);
+            }
+        });
+    }
+
+    /**
+     * Record a gauge metric, a value at a point in time such as a memory size.
+     * Only the last value recorded in a send interval is sent.
+     *
+     * Dimensional metrics are aggregated in memory and sent to the NewRelic Metric API
+     * every send interval and when the activation finishes, with the default metrics
+     * as common attributes.
+     *
+     * @param {String} name metric name
+     * @param {Number} value metric value
+     * @param {Object} attributes [OPTIONAL] attributes (dimensions) of the metric
+     */
+    gauge(name, value, attributes) {
+        recordMetric(this, "gauge", name, value, attributes);
+    }
+
+    /**
+     * Record a count metric, such as a number of processed files. All values recorded
+     * in a send interval are added up (See gauge() for how metrics are sent).
+     *
+     * @param {String} name metric name
+     * @param {Number} value [OPTIONAL] value to add to the count, defaults to 1
+     * @param {Object} attributes [OPTIONAL] attributes (dimensions) of the metric
+     */
+    count(name, value=1, attributes) {
+        recordMetric(this, "count", name, value, attributes);
     }
 
     /**
-     * Call this when the action activation finishes successfully.
+     * Record a summary metric, such as a duration. The count, sum, minimum and maximum of
+     * all values recorded in a send interval are sent (See gauge() for how metrics are sent).
+     *
+     * @param {String} name metric name
+     * @param {Number} value metric value
+     * @param {Object} attributes [OPTIONAL] attributes (dimensions) of the metric
      */
-    activationFinished() {
-        // action finished successfully, there will be no timeout
+    summary(name, value, attributes) {
+        recordMetric(this, "summary", name, value, attributes);
+    }
+
+    /**
+     * @typedef ActivationFinishedOptions
+     * @type {Object}
+     * @property {Error} error [OPTIONAL] Error with which the activation failed
+     * @property {Boolean} flush [OPTIONAL] Send all queued metrics and wait until they
+     * are sent (See flush())
+     */
+    /**
+     * Call this when the action activation finishes. Clears the action timeout handler
+     * and sends an `activation` event with the duration and outcome of the activation,
+     * as well as any `httpSummary` events and dimensional metrics aggregated so far.
+     * Only the first invocation sends the `activation` event.
+     *
+     * @param {ActivationFinishedOptions} options [OPTIONAL] activation outcome
+     */
+    async activationFinished(options={}) {
+        // action finished, there will be no timeout
         clearTimeout(this.actionTimeoutHandlerId);
+        clearInterval(this.metricsHarvestId);
+
+        if (!this.activationFinishedAt) {
+            this.activationFinishedAt = Date.now();
+
+            if (!this.disableActivationEvent) {
+                await this.send("activation", {
+                    ...counterMetrics(this),
+                    ...this.getActivationMetrics(options.error)
+                });
+            }
+        }
+        await sendHttpSummary(this);
+        await sendAggregatedMetrics(this);
+
+        if (this.rootSpan && this.rootSpan.end(options.error)) {
+            this.finishedSpans.push(this.rootSpan);
+        }
+        await sendSpans(this);
+
+        if (options.flush) {
+            await this.flush();
+        }
+    }
+
+    /**
+     * Send all queued metrics to NewRelic and wait until they are sent. Use this before
+     * the action returns, as the container is frozen afterwards and queued metrics would
+     * only be sent with the next activation in the same container, if at all.
+     *
+     * Waits at most `flushTimeoutMs` (See NewRelicOptions).
+     *
+     * @returns {Promise<Boolean>} true if all metrics were sent, false if the timeout was reached
+     */
+    async flush() {
+        if (!this.canSendMetrics) {
+            return true;
+        }
+        await sendAggregatedMetrics(this);
+        await sendSpans(this);
+
+        const queues = [this.queue];
+        if (this.metricQueue) {
+            queues.push(this.metricQueue);
+        }
+        if (this.traceQueue) {
+            queues.push(this.traceQueue);
+        }
+        const results = await Promise.all(queues.map(queue => queue.flush(this.flushTimeoutMs)));
+        return results.every(flushed => flushed);
+    }
+
+    /**
+     * Returns the summary metrics of this activation, as sent in the `activation` event.
+     *
+     * @param {Error} error [OPTIONAL] error with which the activation failed
+     * @returns {object} activation metrics
+     */
+    getActivationMetrics(error) {
+        const end = this.activationFinishedAt || Date.now();
+        const metrics = {
+            duration: end - this.startTime,
+            successful: !error
+        };
+        if (error) {
+            metrics.errorName = error.name;
+            metrics.errorMessage = error.message;
+        }
+        if (this.deadline) {
+            // time this activation had available before it would time out
+            metrics.timeoutBudget = this.deadline - this.startTime;
+            if (metrics.timeoutBudget > 0) {
+                metrics.timeoutBudgetUsed = Math.round(metrics.duration / metrics.timeoutBudget * 10000) / 100;
+            }
+        }
+        return metrics;
+    }
+
+    /**
+     * Send an `error` event to NewRelic for the given error.
+     *
+     * Behavior:
+     * - Name, message and code of the error are sent as `errorName`, `errorMessage` and `errorCode`
+     * - The error is classified into `errorCategory` (See `classifyError` in metrics.js)
+     * - The HTTP status code of the error, if any, is sent as `errorStatusCode`
+     * - Any other literal fields of the error (such as `errno` or `syscall`) are
+     *   sent as `errorDetails_<field>`
+     *
+     * @param {Error} error Error to report
+     * @param {Object} metrics [OPTIONAL] additional metrics to send with the error event
+     */
+    async handleError(error, metrics={}) {
+        if (!(error instanceof Error)) {
+            error = new Error(String(error));
+        }
+        const { name, message, code, ...fields } = Metrics.toMetricsObject(error);
+
+        // only keep literal values, nested objects such as an http client response
+        // can be huge or contain circular references, and functions such as the
+        // toJSON() of axios errors cannot be sent
+        const errorDetails = {};
+        for (const [key, value] of Object.entries(fields)) {
+            if (LITERAL_TYPES.includes(typeof value)) {
+                errorDetails[key] = value;
+            }
+        }
+
+        await this.send("error", {
+            errorName: name,
+            errorMessage: message,
+            errorCode: code,
+            errorCategory: Metrics.classifyError(error),
+            errorStatusCode: Metrics.errorStatusCode(error),
+            errorDetails,
+            ...metrics
+        });
     }
 
     /**
@@ -123,7 +553,9 @@ class NewRelic {
      *
      * Behavior:
      * - Add Apache OpenWhisk action metrics (See  `openwhisk` in metrics.js)
+     * - Call the `beforeSend` hook, if configured, which can change or drop the event
      * - Flatten out metrics object (See  `flatten` in metrics.js)
+     * - Redact sensitive attributes (See `redact` in metrics.js)
      * - Send metrics to New Relic
      *
      * @param {String} eventType Event type associated with metrics
@@ -148,8 +580,190 @@ class NewRelic {
             console.error("Metrics not sent because disabled: ", metrics);
             return;
         }
-        await sendQueue.send(metrics, immediately);
+
+        if (this.beforeSend) {
+            metrics = await runBeforeSend(this.beforeSend, metrics);
+            if (!metrics) {
+                return;
+            }
+        }
+
+        if (this.redactOptions) {
+            try {
+                metrics = Metrics.flatten(metrics);
+            } catch (e) {
+                console.error(`Unable to send metrics to NewRelic: ${e.message}`);
+                console.error("Metrics not sent: ", metrics);
+                return;
+            }
+            redactAttributes(this, metrics);
+        }
+        await this.queue.send(metrics, immediately);
+    }
+}
+
+// redact sensitive attributes of a flattened object in place,
+// keeping count of them in the redactedAttributes counter
+function redactAttributes(self, attributes) {
+    if (self.redactOptions && attributes) {
+        const count = Metrics.redact(attributes, self.redactOptions);
+        if (count > 0) {
+            self.increment("redactedAttributes", count);
+        }
+    }
+}
+
+// counters from increment() and record(), with the mean of recorded values
+function counterMetrics(self) {
+    const metrics = {};
+    for (const [name, counter] of Object.entries(self.counters)) {
+        if (typeof counter === "number") {
+            metrics[name] = counter;
+        } else {
+            metrics[name] = { ...counter, mean: counter.sum / counter.count };
+        }
+    }
+    return metrics;
+}
+
+function recordMetric(self, type, name, value, attributes) {
+    if (!self.canSendMetrics) {
+        return;
+    }
+    if (!self.metricQueue) {
+        if (!self.metricQueueWarningLogged) {
+            console.error("Missing NewRelic Api Key. Dimensional metrics disabled.");
+            self.metricQueueWarningLogged = true;
+        }
+        return;
+    }
+    if (self.metricAggregator.record(type, name, value, attributes) && !self.metricsHarvestId) {
+        self.metricsHarvestId = setInterval(() => sendAggregatedMetrics(self), self.metricQueue.sendInterval);
+    }
+}
+
+// queue the dimensional metrics aggregated so far for sending to the NewRelic Metric API
+async function sendAggregatedMetrics(self, immediately) {
+    if (!self.metricQueue) {
+        return;
+    }
+    let payload;
+    try {
+        payload = self.metricAggregator.harvest(self.defaultMetrics);
+    } catch (e) {
+        console.error(`Unable to send dimensional metrics to NewRelic: ${e.message}`);
+        return;
+    }
+    if (payload) {
+        redactAttributes(self, payload.common.attributes);
+        payload.metrics.forEach(metric => redactAttributes(self, metric.attributes));
+        await self.metricQueue.enqueue(payload, immediately);
+    }
+}
+
+// send a `httpSummary` event for each group of http requests recorded so far
+async function sendHttpSummary(self, immediately) {
+    if (!self.httpSummary) {
+        return;
+    }
+    for (const summary of self.httpSummary.harvest()) {
+        await self.send("httpSummary", summary, immediately);
+    }
+}
+
+// continue the trace of the caller of a web action from the incoming request headers,
+// returns the metrics identifying the caller to add to all events
+function continueTrace(self, options) {
+    const headers = (options && options.__ow_headers) || {};
+    const metrics = {};
+
+    const incoming = trace.parseTraceparent(headers.traceparent);
+    if (incoming) {
+        self.traceId = incoming.traceId;
+        self.parentSpanId = incoming.parentId;
+        self.traceState = headers.tracestate;
+        metrics.parentSpanId = incoming.parentId;
+    }
+    const requestId = headers["x-request-id"];
+    if (requestId) {
+        metrics.callerRequestId = requestId;
+    }
+    return metrics;
+}
+
+function startTracing(self, options) {
+    self.traceQueue = sendQueue.getTraceQueue(options);
+    if (!self.traceQueue) {
+        console.error("Missing NewRelic Api Key. Tracing disabled.");
+        return;
+    }
+    self.tracing = true;
+    // spans that ended and still have to be sent
+    self.finishedSpans = [];
+    self.rootSpan = new trace.Span({
+        name: process.env.__OW_ACTION_NAME || "activation",
+        traceId: self.traceId,
+        parentId: self.parentSpanId,
+        attributes: {
+            "span.kind": "server"
+        }
+    });
+}
+
+// id of the current span, the parent for new spans
+function currentSpanId(self) {
+    if (activationVars && activationVars.active) {
+        const span = activationVars.get(CLS_KEY_SPAN);
+        if (span && span.traceId === self.traceId) {
+            return span.id;
+        }
     }
+    return self.rootSpan.id;
+}
+
+// child span for a http request captured by the http instrumentation
+function httpSpan(self, metrics, traceContext) {
+    const span = new trace.Span({
+        name: `${metrics.method} ${metrics.host}`,
+        traceId: self.traceId,
+        parentId: traceContext.parentId,
+        id: metrics.spanId,
+        timestamp: Metrics.timestamp() - Math.round(metrics.duration || 0),
+        attributes: {
+            "span.kind": "client",
+            "http.method": metrics.method,
+            "http.url": metrics.url,
+            "http.statusCode": metrics.responseCode
+        }
+    });
+    span.end(metrics.error ? { name: String(metrics.errorCode), message: metrics.errorMessage } : undefined, metrics.duration);
+    self.finishedSpans.push(span);
+}
+
+// queue the spans finished so far for sending to the NewRelic Trace API
+async function sendSpans(self, immediately) {
+    if (!self.tracing || self.finishedSpans.length === 0) {
+        return;
+    }
+    const spans = self.finishedSpans.splice(0);
+    let payload;
+    try {
+        payload = {
+            common: {
+                attributes: {
+                    ...Metrics.flatten(self.defaultMetrics),
+                    "service.name": process.env.__OW_ACTION_NAME || self.defaultMetrics.actionName
+                }
+            },
+            spans: spans.map(span => span.toTraceApi())
+        };
+    } catch (e) {
+        console.error(`Unable to send spans to NewRelic: ${e.message}`);
+        return;
+    }
+    redactAttributes(self, payload.common.attributes);
+    payload.spans.forEach(span => redactAttributes(self, span.attributes));
+    await self.traceQueue.enqueue(payload, immediately);
 }
 
 /**
@@ -174,7 +788,16 @@ function sendMetricsOnActionTimeout(self, actionTimeoutMetricsCb) {
 
             console.log(`Action will timeout in ${Metrics.timeUntilTimeout()} milliseconds. Sending metrics before action timeout.`);
 
-            await self.send("timeout", metrics, true);
+            // activationFinished() might never be called, stop sending dimensional metrics periodically
+            clearInterval(self.metricsHarvestId);
+            await sendHttpSummary(self, true);
+            await sendAggregatedMetrics(self, true);
+            if (self.rootSpan && self.rootSpan.end(new Error("Action timed out"))) {
+                self.finishedSpans.push(self.rootSpan);
+            }
+            await sendSpans(self, true);
+            // include counters so partial counts are not lost when the action times out
+            await self.send("timeout", { ...counterMetrics(self), ...metrics }, true);
 
             console.log(`Metrics sent before action timeout.`);
         },
@@ -182,21 +805,189 @@ function sendMetricsOnActionTimeout(self, actionTimeoutMetricsCb) {
     );
 }
 
-function instrumentHttpClient() {
+// returns the event changed by the hook, or null if it should be dropped
+async function runBeforeSend(beforeSend, event) {
+    try {
+        const result = await beforeSend(event);
+        if (result === null || result === false) {
+            return null;
+        }
+        // hook changed the event in place
+        if (result === undefined) {
+            return event;
+        }
+        if (typeof result !== "object") {
+            console.error(`beforeSend returned invalid event, sending event of type '${event.eventType}' unchanged: ${result}`);
+            return event;
+        }
+        return result;
+    } catch (e) {
+        console.error(`beforeSend failed, sending event of type '${event.eventType}' unchanged: ${e.message}`);
+        return event;
+    }
+}
+
+// NewRelic instance of the current activation, tracked using continuation-local storage
+function currentNewRelic() {
+    if (activationVars && activationVars.active) {
+        return activationVars.get(CLS_KEY_NEWRELIC);
+    }
+    return undefined;
+}
+
+// url sanitizing options from NewRelic.instrument() options or environment variable
+function getSanitizeUrl(options) {
+    if (options.sanitizeUrl !== undefined) {
+        return options.sanitizeUrl;
+    }
+    const mode = process.env.OPENWHISK_NEWRELIC_SANITIZE_URL;
+    if (isBlankString(mode)) {
+        return undefined;
+    }
+    return mode.trim() === "false" ? false : { mode: mode.trim() };
+}
+
+function splitList(str) {
+    return str.split(",").map(item => item.trim()).filter(item => item.length > 0);
+}
+
+// http requests to ignore from NewRelic.instrument() options, extended by environment variables
+function getIgnoreHttpRequests(options) {
+    const ignore = { ...options.ignoreHttpRequests };
+    const env = process.env;
+    if (!isBlankString(env.OPENWHISK_NEWRELIC_IGNORE_HOSTS)) {
+        ignore.hosts = [].concat(ignore.hosts || [], splitList(env.OPENWHISK_NEWRELIC_IGNORE_HOSTS));
+    }
+    if (!isBlankString(env.OPENWHISK_NEWRELIC_IGNORE_URL_REGEX)) {
+        ignore.urls = [].concat(ignore.urls || [], env.OPENWHISK_NEWRELIC_IGNORE_URL_REGEX.trim());
+    }
+    if (!isBlankString(env.OPENWHISK_NEWRELIC_IGNORE_METHODS)) {
+        ignore.methods = [].concat(ignore.methods || [], splitList(env.OPENWHISK_NEWRELIC_IGNORE_METHODS));
+    }
+    return ignore;
+}
+
+// http summary options from NewRelic.instrument() options or environment variable,
+// undefined if requests should not be rolled up
+function getHttpSummary(options) {
+    let httpSummary = options.httpSummary;
+    if (httpSummary === undefined) {
+        httpSummary = process.env.OPENWHISK_NEWRELIC_HTTP_SUMMARY === 'true';
+    }
+    if (!httpSummary) {
+        return undefined;
+    }
+    return {
+        httpEvents: true,
+        ...(typeof httpSummary === 'object' ? httpSummary : {})
+    };
+}
+
+// whether to send the individual `http` event of a request rolled up in the http summary
+function sendHttpEvent(httpSummary, metrics) {
+    if (!httpSummary.httpEvents) {
+        return false;
+    }
+    const minDuration = httpSummary.httpEventsMinDuration;
+    return typeof minDuration !== 'number' || metrics.duration >= minDuration;
+}
+
+function toNumber(value) {
+    return isBlankString(value) ? undefined : Number(value);
+}
+
+// http event sampling from NewRelic.instrument() options or environment variables,
+// undefined if all http events should be sent
+function getSampleHttpRequests(options) {
+    const sampling = {
+        slowThreshold: toNumber(process.env.OPENWHISK_NEWRELIC_HTTP_SLOW_THRESHOLD),
+        rate: toNumber(process.env.OPENWHISK_NEWRELIC_HTTP_SAMPLE_RATE),
+        ...options.sampleHttpRequests
+    };
+    if (sampling.slowThreshold !== undefined && !(sampling.slowThreshold >= 0)) {
+        console.error(`Invalid slow threshold for http events, ignoring it: ${sampling.slowThreshold}`);
+        delete sampling.slowThreshold;
+    }
+    if (sampling.rate !== undefined && !(sampling.rate >= 0 && sampling.rate <= 1)) {
+        console.error(`Invalid sample rate for http events, must be between 0 and 1, ignoring it: ${sampling.rate}`);
+        delete sampling.rate;
+    }
+    if (sampling.slowThreshold === undefined && sampling.rate === undefined) {
+        return undefined;
+    }
+    // with only a threshold, just slow requests are sent
+    if (sampling.rate === undefined) {
+        sampling.rate = 0;
+    }
+    return sampling;
+}
+
+// sample rate of the http event of a request: failed and slow requests are always sent
+function httpSampleRate(sampling, metrics) {
+    if (metrics.error || metrics.responseCode >= 500) {
+        return 1;
+    }
+    if (sampling.slowThreshold !== undefined && metrics.duration >= sampling.slowThreshold) {
+        return 1;
+    }
+    return sampling.rate;
+}
+
+function instrumentHttpClient(options) {
+    const httpSummary = getHttpSummary(options);
+    const sampling = getSampleHttpRequests(options);
     // Note: this only has an effect the first time its called.
     // We use of continuation-local storage in the metrics callback to get the  NewRelic
     // object instance of the current activation for actually sending the metrics and enriching
     // it with any default metrics
-    httpClientProbe.start((metrics) => {
+    const metricsCallback = (metrics, traceContext) => {
         if (activationVars && activationVars.active) {
             const newRelic = activationVars.get(CLS_KEY_NEWRELIC);
             if (newRelic) {
+                if (newRelic.tracing && traceContext && metrics.spanId) {
+                    httpSpan(newRelic, metrics, traceContext);
+                }
+                if (httpSummary) {
+                    newRelic.httpSummary = newRelic.httpSummary || new HttpSummary();
+                    newRelic.httpSummary.record(metrics);
+                    if (!sendHttpEvent(httpSummary, metrics)) {
+                        return;
+                    }
+                }
+                if (sampling) {
+                    const sampleRate = httpSampleRate(sampling, metrics);
+                    if (Math.random() >= sampleRate) {
+                        return;
+                    }
+                    metrics.sampleRate = sampleRate;
+                }
                 newRelic.send("http", metrics);
             } else {
                 console.error("Cannot find NewRelic instance for sending metrics. Possible CLS issue.");
             }
         }
-    });
+    };
+    const traceContextCallback = () => {
+        const newRelic = currentNewRelic();
+        if (newRelic && (newRelic.injectTraceContext || newRelic.tracing)) {
+            return {
+                traceId: newRelic.traceId,
+                traceState: newRelic.traceState,
+                parentId: newRelic.tracing ? currentSpanId(newRelic) : undefined,
+                injectHeaders: Boolean(newRelic.injectTraceContext)
+            };
+        }
+        return undefined;
+    };
+    const probeOptions = {
+        sanitizeUrl: getSanitizeUrl(options),
+        routeTemplates: options.routeTemplates,
+        ignore: getIgnoreHttpRequests(options)
+    };
+    httpClientProbe.start(metricsCallback, traceContextCallback, probeOptions);
+    // global fetch() in Node 18+
+    undiciProbe.start(metricsCallback, traceContextCallback, probeOptions);
+    http2Probe.start(metricsCallback, traceContextCallback, probeOptions);
 }
 
 /**
@@ -205,14 +996,32 @@ function instrumentHttpClient() {
  *
  * @param {Function} main the action main function to wrap
  * @param {Object} options allows to disable certain instrumentations:
- * - disableHttpClient: disable node http & https client request instrumentation
+ * - disableHttpClient: disable node http, https, http2 and undici (global fetch) client request instrumentation
+ * - sanitizeUrl: how to remove credentials from the query string of http request urls (See start() in
+ *   probe/http-client.js), or false to disable. Defaults to masking known signed url parameters.
+ *   The mode can also be set using the environment variable `OPENWHISK_NEWRELIC_SANITIZE_URL`.
+ * - routeTemplates: route templates per host for the `pathTemplate` of http requests, such as
+ *   `{ "example.com": ["/api/v1/namespaces/{namespace}/actions/{action}"] }`
+ * - ignoreHttpRequests: http requests to ignore, by `hosts`, `urls` (regular expressions), `methods`
+ *   or a `predicate` function (See start() in probe/http-client.js). Can be extended using the
+ *   environment variables `OPENWHISK_NEWRELIC_IGNORE_HOSTS` and `OPENWHISK_NEWRELIC_IGNORE_METHODS`
+ *   (comma separated) and `OPENWHISK_NEWRELIC_IGNORE_URL_REGEX`.
+ * - httpSummary: roll up http requests per activation and per domain, method and status class, sent as
+ *   `httpSummary` events when the activation finishes or times out. Set to true, or to an object with
+ *   `httpEvents: false` to not send the individual `http` events anymore, or `httpEventsMinDuration` to only
+ *   send them for requests taking at least this many milliseconds. Can also be enabled using the
+ *   environment variable `OPENWHISK_NEWRELIC_HTTP_SUMMARY=true`.
+ * - sampleHttpRequests: only send `http` events of requests with errors or taking at least `slowThreshold`
+ *   milliseconds, and a `rate` between 0 and 1 of the other requests. The rate is sent as `sampleRate`
+ *   attribute. Can also be set using the environment variables `OPENWHISK_NEWRELIC_HTTP_SLOW_THRESHOLD`
+ *   and `OPENWHISK_NEWRELIC_HTTP_SAMPLE_RATE`.
  * @returns {Function} function to use as action main
  */
 NewRelic.instrument = function(main, options={}) {
     if (!process.env.OPENWHISK_NEWRELIC_DISABLE_ALL_INSTRUMENTATION) {
         // start all instrumentation, look at options for exclusions
         if (!options.disableHttpClient && !process.env.OPENWHISK_NEWRELIC_DISABLE_HTTP_INSTRUMENTATION) {
-            instrumentHttpClient();
+            instrumentHttpClient(options);
         }
     }
 
@@ -229,22 +1038,43 @@ NewRelic.instrument = function(main, options={}) {
  */
 NewRelic.stopInstrument = function() {
     httpClientProbe.stop();
+    undiciProbe.stop();
+    http2Probe.stop();
 };
 
-// TODO: template for an all-in-one openwhisk-newrelic metrics solution
-//       by simply wrapping the main action
-// NewRelic.wrapAction = async function(main, options) {
-//     return NewRelic.instrument(async (params={}) => {
-//         const metrics = new NewRelic(params);
-//         try {
-//             return await main(params);
-//         } catch (e) {
-//             await metrics.handleError(e);
-//             throw e;
-//         } finally {
-//             metrics.activationFinished();
-//         }
-//     }, options);
-// }
+/**
+ * All-in-one metrics for an action: wraps the action main function with
+ * NewRelic.instrument() and creates a NewRelic instance for each activation.
+ *
+ * Behavior:
+ * - Creates a NewRelic object using the action params (`newRelicEventsURL`, `newRelicApiKey`)
+ *   merged with the NewRelic options passed in here
+ * - Sends an `error` event using handleError() if the action main function throws an error
+ * - Calls activationFinished() at the end, also in case of errors, which sends the `activation` event
+ *   and flushes all queued metrics before the action returns
+ *
+ * The NewRelic instance is passed as second argument to the action main function
+ * so that custom metrics can be added or sent.
+ *
+ * @param {Function} main the action main function to wrap
+ * @param {Object} options NewRelic options (see NewRelicOptions) and instrumentation options
+ * (see NewRelic.instrument()). Can include `defaultMetrics` to include in every New Relic event.
+ * @returns {Function} function to use as action main
+ */
+NewRelic.wrapAction = function(main, options={}) {
+    return NewRelic.instrument(async (params={}) => {
+        const metrics = new NewRelic({ ...params, ...options }, options.defaultMetrics);
+        let error;
+        try {
+            return await main(params, metrics);
+        } catch (e) {
+            error = e;
+            await metrics.handleError(e);
+            throw e;
+        } finally {
+            await metrics.activationFinished({ error, flush: true });
+        }
+    }, options);
+};
 
 module.exports = NewRelic;
@@ -17,22 +17,18 @@ const debug = require('debug')('http-client');
 const http = require('http');
 const https = require('https');
 const url = require('url');
+const { AsyncResource } = require('async_hooks');
 const fnwrap = require('./fnwrap');
 const sendQueue = require('../queue');
+const { getDurationInMs } = require('../metrics');
+const trace = require('../trace');
+const { probeOptions, sanitizePath, pathTemplate, isIgnored } = require('./request-options');
 
-const NS_PER_SEC = 1e9;
-const MS_PER_NS = 1e6;
 const METRICS_SENDING_BUFFER_MS = 10000;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
-// calculate time delta between two process.hrtime() results in milliseconds
-function getDurationInMs(startTime, endTime) {
-    if (!startTime || !endTime) {
-        return undefined;
-    }
-    const deltaSec = endTime[0] - startTime[0];
-    const deltaNanos = endTime[1] - startTime[1];
-    return (deltaSec * NS_PER_SEC + deltaNanos) / MS_PER_NS;
-}
+// sockets of requests seen so far, to detect reused keep-alive connections
+const knownSockets = new WeakSet();
 
 // taken from https://github.com/nodejs/node/blob/6de7b635a6185115975248efbc71fb8c205b59b6/lib/internal/url.js#L1271
 function urlToOptions(url) {
@@ -82,6 +78,40 @@ function httpOptions(input, options) {
     return options;
 }
 
+// common name or organization of a certificate subject or issuer
+function certificateName(name) {
+    if (!name) {
+        return undefined;
+    }
+    const value = name.CN || name.O;
+    return Array.isArray(value) ? value.join(", ") : value;
+}
+
+// details of the TLS connection of a socket, if it is encrypted and the handshake is done
+function getTlsMetrics(socket) {
+    if (!socket || !socket.encrypted || typeof socket.getProtocol !== "function") {
+        return {};
+    }
+    const protocol = socket.getProtocol();
+    if (!protocol) {
+        return {};
+    }
+    const cipher = socket.getCipher();
+    const certificate = socket.getPeerCertificate();
+    const metrics = {
+        tlsProtocol: protocol,
+        tlsCipher: cipher ? cipher.name : undefined,
+        // false if no protocol was negotiated
+        alpnProtocol: socket.alpnProtocol || undefined
+    };
+    if (certificate && certificate.valid_to) {
+        metrics.certificateSubject = certificateName(certificate.subject);
+        metrics.certificateIssuer = certificateName(certificate.issuer);
+        metrics.certificateExpiresInDays = Math.floor((Date.parse(certificate.valid_to) - Date.now()) / MS_PER_DAY);
+    }
+    return metrics;
+}
+
 class HttpRequestMetrics {
     constructor() {
         this.timings = {
@@ -116,6 +146,26 @@ class HttpRequestMetrics {
         return this;
     }
 
+    withTraceContextCallback(cb) {
+        this.traceContextCallback = cb || (() => {});
+        return this;
+    }
+
+    withUrlSanitizing(options) {
+        this.sanitizeUrl = options;
+        return this;
+    }
+
+    withRouteTemplates(routeTemplates) {
+        this.routeTemplates = routeTemplates || [];
+        return this;
+    }
+
+    withIgnoreRules(ignoreRules) {
+        this.ignoreRules = ignoreRules;
+        return this;
+    }
+
     ignoreRequest() {
         // ignore our own metrics request to NewRelic
         let ua = this.request.getHeader("User-Agent");
@@ -127,7 +177,7 @@ class HttpRequestMetrics {
                 return true;
             }
         }
-        return false;
+        return isIgnored(this.getRequestTarget(), this.ignoreRules);
     }
 
     getRequest() {
@@ -138,6 +188,7 @@ class HttpRequestMetrics {
         this.request = this.invokeRequestFn();
 
         if (!this.ignoreRequest()) {
+            this.injectTraceContext(this.request);
             this.onRequest(this.request);
         }
 
@@ -148,9 +199,47 @@ class HttpRequestMetrics {
         return this.requestFn(this.args.input, this.args.options, this.args.callback);
     }
 
+    // add W3C trace context headers with a new span id for this request
+    injectTraceContext(request) {
+        const context = this.traceContextCallback();
+        if (!context || !context.traceId) {
+            return;
+        }
+        // keep trace context set by the client code
+        if (request.getHeader("traceparent")) {
+            return;
+        }
+        const spanId = trace.newSpanId();
+        if (context.injectHeaders !== false) {
+            try {
+                request.setHeader("traceparent", trace.traceparent(context.traceId, spanId));
+                if (context.traceState) {
+                    request.setHeader("tracestate", context.traceState);
+                }
+            } catch (e) {
+                // headers already sent
+                debug("could not add trace context headers:", e.message);
+                return;
+            }
+        }
+        this.traceContext = context;
+        this.traceId = context.traceId;
+        this.spanId = spanId;
+    }
+
     onSocket(socket) {
         this.timings.socketAt = process.hrtime();
 
+        // keep-alive connection used before, connect events will not fire.
+        // request.reusedSocket is only set in Node 12.16+, so also track the sockets seen before
+        this.socketReused = Boolean(this.request.reusedSocket) || knownSockets.has(socket);
+        knownSockets.add(socket);
+        if (this.socketReused) {
+            this.localAddress = socket.localAddress;
+            this.remoteAddress = socket.remoteAddress;
+            this.recordTls(socket);
+        }
+
         // DNS
         socket.prependListener("lookup", () => {
             debug("⚡️ [socket] lookup");
@@ -176,6 +265,7 @@ class HttpRequestMetrics {
         socket.prependListener("secureConnect", () => {
             debug("⚡️ [socket] secureConnect");
             this.timings.tlsHandshakeAt = process.hrtime();
+            this.recordTls(socket);
         });
 
         // response received
@@ -185,6 +275,14 @@ class HttpRequestMetrics {
         });
     }
 
+    recordTls(socket) {
+        try {
+            this.tls = getTlsMetrics(socket);
+        } catch (e) {
+            debug("could not get TLS details:", e.message);
+        }
+    }
+
     trackRequestBody(request) {
         this.requestBodySize = 0;
 
@@ -198,6 +296,18 @@ class HttpRequestMetrics {
                 return write.call(request, chunk, enc, cb);
             };
         });
+
+        // wrap request.end() as it does not invoke request.write() for the last chunk in all cases
+        fnwrap.wrap(request, "end", (end) => {
+            return (chunk, enc, cb) => {
+                const sizeBefore = this.requestBodySize;
+                const result = end.call(request, chunk, enc, cb);
+                if (this.requestBodySize === sizeBefore && chunk && typeof chunk !== "function" && chunk.length) {
+                    this.requestBodySize += chunk.length;
+                }
+                return result;
+            };
+        });
     }
 
     onRequest(request) {
@@ -240,8 +350,25 @@ class HttpRequestMetrics {
         // custom header to correlate requests with logs and backend services in case of errors
         this.serverRequestId = response.headers["x-request-id"] || response.headers["x-correlation-id"];
 
+        this.trackResponseBody(response, response.headers["content-length"]);
+
+        response.on("end", () => {
+            debug("⚡️ [response] end");
+            // all of response body was received
+            this.onEnd();
+        });
+
+        response.on("close", () => {
+            debug("⚡️ [response] close");
+            this.onEnd();
+        });
+
+        this.startNoResponseEndTimer();
+    }
+
+    trackResponseBody(response, contentLength) {
         // try to get response size from content-length header (cheap)
-        this.responseSize = response.headers["content-length"];
+        this.responseSize = contentLength;
         if (this.responseSize !== undefined) {
             this.responseSize = parseInt(this.responseSize, 10);
         }
@@ -249,32 +376,35 @@ class HttpRequestMetrics {
         if (isNaN(this.responseSize)) {
             this.responseSize = 0;
 
+            const countData = (chunk) => {
+                debug("⚡️ [response] data", chunk);
+                this.responseSize += chunk.length;
+            };
+
+            if (response.readableFlowing) {
+                // already being consumed by the client code, e.g. http2 streams
+                response.on("data", countData);
+                return;
+            }
+
             // prevent stream from being read as soon as we add our 'data' listener below,
             // leave that to the actual client code consuming the request
             response.readableFlowing = false;
 
-            response.on("data", (chunk) => {
-                debug("⚡️ [response] data", chunk);
-                this.responseSize += chunk.length;
-            });
+            response.on("data", countData);
 
             // reset flowing state so that as soon as client code adds a data listener
             // it will start consuming the stream
             response.readableFlowing = null;
         }
+    }
 
-        response.on("end", () => {
-            debug("⚡️ [response] end");
-            // all of response body was received
-            this.onEnd();
-        });
-
-        response.on("close", () => {
-            debug("⚡️ [response] close");
-            this.onEnd();
-        });
-
-        this.startNoResponseEndTimer();
+    // invoke the metrics callback in the async context of the current request, for clients
+    // whose events run in the async context of a connection shared with other requests
+    bindMetricsCallback() {
+        const asyncResource = new AsyncResource("HttpRequestMetrics");
+        const metricsCallback = this.metricsCallback;
+        this.metricsCallback = (...args) => asyncResource.runInAsyncScope(metricsCallback, null, ...args);
     }
 
     startNoResponseEndTimer() {
@@ -333,16 +463,18 @@ class HttpRequestMetrics {
             const metrics = {
                 ...this.getRequestMetrics(),
                 ...this.getResponseMetrics(),
+                ...this.getConnectionMetrics(),
                 ...this.getTimingMetrics(),
                 ...extraMetrics
             };
             debug("metrics:", metrics);
-            this.metricsCallback(metrics);
+            this.metricsCallback(metrics, this.traceContext);
             this.metricsTriggered = true;
         }
     }
 
-    getRequestMetrics() {
+    // protocol, host, port, method and unsanitized path and url of the request
+    getRequestTarget() {
         const opts = this.httpOptions;
         const req = this.request;
 
@@ -370,11 +502,30 @@ class HttpRequestMetrics {
             protocol: protocol,
             host: host,
             port: port,
+            origin: `${protocol}//${host}${portForUrl}`,
             path: path,
             url: `${protocol}//${host}${portForUrl}${path}`,
-            method: (req.method || "GET").toUpperCase(),
+            method: (req.method || "GET").toUpperCase()
+        };
+    }
+
+    getRequestMetrics() {
+        const target = this.getRequestTarget();
+        const path = sanitizePath(target.path, this.sanitizeUrl);
+
+        return {
+            protocol: target.protocol,
+            host: target.host,
+            port: target.port,
+            path: path,
+            pathTemplate: pathTemplate(path, target.host, this.routeTemplates),
+            url: `${target.origin}${path}`,
+            method: target.method,
             // get top level domain
-            domain: host.split(".").slice(-2).join(".")
+            domain: target.host.split(".").slice(-2).join("."),
+            // trace context sent with the request, if any
+            traceId: this.traceId,
+            spanId: this.spanId
         };
     }
 
@@ -394,6 +545,13 @@ class HttpRequestMetrics {
         };
     }
 
+    getConnectionMetrics() {
+        return {
+            socketReused: this.socketReused,
+            ...this.tls
+        };
+    }
+
     getTimingMetrics() {
         const t = this.timings;
 
@@ -424,6 +582,16 @@ class HttpRequestMetrics {
     }
 }
 
+function getWithMetrics(originalGetFn, obj) {
+    // node http/s.get() invokes the module internal request() function and not the
+    // instrumented http/s.request(), so reimplement it using the latter
+    return (input, options, callback) => {
+        const request = obj.request(input, options, callback);
+        request.end();
+        return request;
+    };
+}
+
 function requestWithMetrics(originalRequestFn, obj, attributes) {
     // the returned function is called in place of node http/s.request()
     return (input, options, callback) => {
@@ -431,25 +599,61 @@ function requestWithMetrics(originalRequestFn, obj, attributes) {
             .withRequestFn(originalRequestFn)
             .withArgs(input, options, callback)
             .withMetricsCallback(attributes.metricsCallback)
+            .withTraceContextCallback(attributes.traceContextCallback)
+            .withUrlSanitizing(attributes.sanitizeUrl)
+            .withRouteTemplates(attributes.routeTemplates)
+            .withIgnoreRules(attributes.ignoreRules)
             .getRequest();
     };
 }
 
 /**
- * Start instrumentation of node http and https outgoing requests. This only
+ * Start instrumentation of node http and https outgoing requests, made using
+ * request() or get(). This only
  * has an effect the first time this is called. Only the callback from that
  * first call to start() will be invoked.
  *
  * Instrumentation can be ended by calling stop().
  *
- * @param {Function} metricsCallback will be called with one argument "metrics" which
- *                                   will be an object containing the http metrics
+ * @param {Function} metricsCallback will be called with the arguments "metrics", which
+ *                                   will be an object containing the http metrics, and
+ *                                   "traceContext", the trace context of the request if any
+ * @param {Function} traceContextCallback [OPTIONAL] will be called for each request and can return
+ *                                   a trace context object with `traceId` and optional `traceState`,
+ *                                   in which case the request gets a new span id and W3C `traceparent`
+ *                                   and `tracestate` headers are added to the request, unless
+ *                                   `injectHeaders` is false
+ * @param {Object} options [OPTIONAL] instrumentation options
+ * @param {Object|Boolean} options.sanitizeUrl [OPTIONAL] how to sanitize the query string of the `url` and
+ *                                   `path` metrics, or false to keep it unchanged. By default the values of
+ *                                   known signed url parameters such as `sig` or `X-Amz-Signature` are masked.
+ *                                   - mode: `mask` to replace the values of the parameters with `REDACTED`,
+ *                                     `remove` to remove the parameters, or `stripQuery` to remove the whole
+ *                                     query string, keeping only origin and path
+ *                                   - queryParams: names of the query parameters to mask or remove, case insensitive
+ * @param {Object} options.routeTemplates [OPTIONAL] route templates per host for the `pathTemplate` metric,
+ *                                   such as `{ "example.com": ["/api/v1/namespaces/{namespace}/actions/{action}"] }`.
+ *                                   Templates for host `*` apply to all hosts.
+ * @param {Object} options.ignore [OPTIONAL] requests to ignore, not reported and without trace context:
+ *                                   - hosts: hostnames, case insensitive
+ *                                   - urls: regular expressions (RegExp or String) matching the full url
+ *                                   - methods: HTTP methods
+ *                                   - predicate: function returning true for requests to ignore, called
+ *                                     with an object with `protocol`, `host`, `port`, `origin`, `path`,
+ *                                     `url` and `method` of the request
  */
-function start(metricsCallback) {
+function start(metricsCallback, traceContextCallback, options={}) {
+    const attributes = {
+        metricsCallback,
+        traceContextCallback,
+        ...probeOptions(options)
+    };
     // wrap node http.request() and https.request() functions with custom functions
     // instrumenting any http client request
-    fnwrap.wrap(http, "request", requestWithMetrics, { metricsCallback });
-    fnwrap.wrap(https, "request", requestWithMetrics, { metricsCallback });
+    fnwrap.wrap(http, "request", requestWithMetrics, attributes);
+    fnwrap.wrap(https, "request", requestWithMetrics, attributes);
+    fnwrap.wrap(http, "get", getWithMetrics);
+    fnwrap.wrap(https, "get", getWithMetrics);
 }
 
 /**
@@ -461,9 +665,12 @@ function stop() {
     // remove wrapped functions and restore originals
     fnwrap.unwrap(http, "request");
     fnwrap.unwrap(https, "request");
+    fnwrap.unwrap(http, "get");
+    fnwrap.unwrap(https, "get");
 }
 
 module.exports = {
     start,
-    stop
+    stop,
+    HttpRequestMetrics
 };
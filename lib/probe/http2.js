@@ -0,0 +1,232 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+// Instrumentation of node http2 client sessions created using http2.connect(),
+// reporting each stream (request) of a session
+
+const debug = require('debug')('http2');
+const http = require('http');
+const http2 = require('http2');
+const fnwrap = require('./fnwrap');
+const { HttpRequestMetrics } = require('./http-client');
+const { probeOptions } = require('./request-options');
+
+// session => number of streams created on the session
+const sessionStreams = new WeakMap();
+
+/**
+ * Metrics of a single http2 stream, reported with the same attributes as
+ * requests using the node http and https modules.
+ */
+class Http2StreamMetrics extends HttpRequestMetrics {
+
+    withSession(session, authority) {
+        this.session = session;
+        this.authority = new URL(String(authority));
+        return this;
+    }
+
+    withHeaders(headers) {
+        // copy to not add trace context headers to the object passed by the client code
+        this.headers = { ...headers };
+        // header access as expected by HttpRequestMetrics
+        this.request = {
+            getHeader: (name) => {
+                const key = Object.keys(this.headers).find(key => key.toLowerCase() === name.toLowerCase());
+                return key === undefined ? undefined : this.headers[key];
+            },
+            setHeader: (name, value) => {
+                this.headers[name] = value;
+            }
+        };
+        return this;
+    }
+
+    getRequestTarget() {
+        const authority = this.authority;
+        const protocol = authority.protocol;
+        const port = authority.port ? parseInt(authority.port, 10) : (protocol === "http:" ? 80 : 443);
+        const path = this.headers[http2.constants.HTTP2_HEADER_PATH] || "/";
+        return {
+            protocol: protocol,
+            // remove brackets of IPv6 addresses
+            host: authority.hostname.replace(/^\[(.*)\]$/, "$1"),
+            port: port,
+            origin: authority.origin,
+            path: path,
+            url: `${authority.origin}${path}`,
+            method: (this.headers[http2.constants.HTTP2_HEADER_METHOD] || "GET").toUpperCase()
+        };
+    }
+
+    getStream(requestFn, options) {
+        if (this.ignoreRequest()) {
+            return requestFn.call(this.session, this.headers, options);
+        }
+        debug("⚡️ [http2] request", this.headers[http2.constants.HTTP2_HEADER_METHOD], this.authority.origin, this.headers[http2.constants.HTTP2_HEADER_PATH]);
+        this.injectTraceContext(this.request);
+        // stream events run in the async context of the session, which can be shared by activations
+        this.bindMetricsCallback();
+
+        const stream = requestFn.call(this.session, this.headers, options);
+        this.onStream(stream);
+        return stream;
+    }
+
+    onStream(stream) {
+        // streams are multiplexed on the session, there is no socket to wait for
+        this.timings.socketAt = process.hrtime();
+        const streams = sessionStreams.get(this.session) || 0;
+        this.socketReused = streams > 0;
+        sessionStreams.set(this.session, streams + 1);
+        if (this.session.connecting) {
+            this.session.once("connect", () => {
+                debug("⚡️ [http2] session connect");
+                this.timings.tcpConnectionAt = process.hrtime();
+            });
+        }
+
+        this.trackRequestBody(stream);
+
+        stream.prependListener("finish", () => {
+            debug("⚡️ [stream] finish");
+            // last byte of HTTP request has been sent out
+            this.timings.sentRequestAt = process.hrtime();
+        });
+
+        stream.prependListener("response", (headers) => {
+            debug("⚡️ [stream] response");
+            this.onResponse(stream, headers);
+        });
+
+        stream.prependOnceListener("error", (err) => {
+            debug("⚡️ [stream] error", err);
+            this.onError(err);
+        });
+
+        stream.prependListener("timeout", () => {
+            debug("⚡️ [stream] timeout");
+            this.onTimeout();
+        });
+
+        stream.on("close", () => {
+            debug("⚡️ [stream] close");
+            this.onEnd();
+        });
+    }
+
+    onResponse(stream, headers) {
+        this.timings.firstByteAt = process.hrtime();
+        this.responseHeaders = headers;
+
+        // custom header to correlate requests with logs and backend services in case of errors
+        this.serverRequestId = headers["x-request-id"] || headers["x-correlation-id"];
+
+        const socket = this.session.socket;
+        if (socket) {
+            this.localAddress = socket.localAddress;
+            this.remoteAddress = socket.remoteAddress;
+            this.recordTls(socket);
+        }
+
+        this.trackResponseBody(stream, headers["content-length"]);
+
+        stream.on("end", () => {
+            debug("⚡️ [stream] end");
+            // all of response body was received
+            this.onEnd();
+        });
+
+        this.startNoResponseEndTimer();
+    }
+
+    getResponseMetrics() {
+        if (!this.responseHeaders) {
+            return {};
+        }
+
+        const status = this.responseHeaders[http2.constants.HTTP2_HEADER_STATUS];
+
+        return {
+            responseCode: status,
+            // http2 has no status text
+            responseStatus: http.STATUS_CODES[status],
+            contentType: this.responseHeaders["content-type"],
+            localIPAddress: this.localAddress,
+            serverIPAddress: this.remoteAddress
+        };
+    }
+}
+
+function sessionWithMetrics(session, authority, attributes) {
+    // the returned function is called in place of session.request()
+    fnwrap.wrap(session, "request", (originalRequestFn) => {
+        return (headers, options) => {
+            return new Http2StreamMetrics()
+                .withSession(session, authority)
+                .withHeaders(headers)
+                .withMetricsCallback(attributes.metricsCallback)
+                .withTraceContextCallback(attributes.traceContextCallback)
+                .withUrlSanitizing(attributes.sanitizeUrl)
+                .withRouteTemplates(attributes.routeTemplates)
+                .withIgnoreRules(attributes.ignoreRules)
+                .getStream(originalRequestFn, options);
+        };
+    });
+    return session;
+}
+
+function connectWithMetrics(originalConnectFn, obj, attributes) {
+    // the returned function is called in place of node http2.connect()
+    return (authority, ...args) => {
+        const session = originalConnectFn.call(obj, authority, ...args);
+        return sessionWithMetrics(session, authority, attributes);
+    };
+}
+
+/**
+ * Start instrumentation of node http2 client sessions. Only sessions created after
+ * this are instrumented. This only has an effect the first time this is called.
+ *
+ * Instrumentation can be ended by calling stop().
+ *
+ * @param {Function} metricsCallback will be called with the arguments "metrics", which
+ *                                   will be an object containing the http metrics, and
+ *                                   "traceContext", the trace context of the request if any
+ * @param {Function} traceContextCallback [OPTIONAL] will be called for each request and can return
+ *                                   a trace context object (See start() in http-client.js)
+ * @param {Object} options [OPTIONAL] instrumentation options, same as for start() in http-client.js
+ */
+function start(metricsCallback, traceContextCallback, options={}) {
+    fnwrap.wrap(http2, "connect", connectWithMetrics, {
+        metricsCallback,
+        traceContextCallback,
+        ...probeOptions(options)
+    });
+}
+
+/**
+ * Ends instrumentation of node http2 client sessions. Sessions created before remain
+ * instrumented. Only has an effect after start() has been called before. Repeated
+ * invocation will be a no op.
+ */
+function stop() {
+    fnwrap.unwrap(http2, "connect");
+}
+
+module.exports = {
+    start,
+    stop
+};
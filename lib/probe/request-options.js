@@ -0,0 +1,213 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+// options shared by the http client probes: url sanitizing, path templates and ignore rules
+
+const debug = require('debug')('request-options');
+
+// query parameters of signed urls that carry credentials or signatures,
+// such as Azure SAS, AWS S3 and Google Cloud Storage presigned urls
+const DEFAULT_SANITIZE_QUERY_PARAMS = [
+    // Azure SAS
+    "sig", "se",
+    // AWS S3 presigned urls (signature version 4 and 2)
+    "X-Amz-Signature", "X-Amz-Credential", "X-Amz-Security-Token", "Signature", "AWSAccessKeyId",
+    // Google Cloud Storage signed urls
+    "X-Goog-Signature", "X-Goog-Credential"
+];
+const SANITIZE_MODES = ["mask", "remove", "stripQuery"];
+const SANITIZED_VALUE = "REDACTED";
+
+// path segments replaced with placeholders in the pathTemplate, checked in order
+const PATH_SEGMENT_PLACEHOLDERS = [
+    { pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, placeholder: "{uuid}" },
+    { pattern: /^\d+$/, placeholder: "{number}" },
+    // md5, sha1, sha256 etc. hashes or other long hex ids
+    { pattern: /^[0-9a-f]{16,}$/i, placeholder: "{hash}" }
+];
+// matches template parameters such as {name}
+const ROUTE_TEMPLATE_PARAM_REGEX = /{[^/{}]+}/g;
+
+function queryParamName(param) {
+    const name = param.split("=")[0];
+    try {
+        return decodeURIComponent(name.replace(/\+/g, " ")).toLowerCase();
+    } catch (e) {
+        debug("malformed query parameter name:", e.message);
+        return name.toLowerCase();
+    }
+}
+
+/**
+ * Remove or mask credentials in the query string of a request path.
+ *
+ * @param {String} path request path including the query string
+ * @param {Object} options sanitizing options (See sanitizeUrlOptions())
+ * @returns {String} sanitized path
+ */
+function sanitizePath(path, options) {
+    const queryIndex = path.indexOf("?");
+    if (!options || queryIndex < 0) {
+        return path;
+    }
+    const pathname = path.substring(0, queryIndex);
+    if (options.mode === "stripQuery") {
+        return pathname;
+    }
+    const sanitizeParams = options.queryParams.map(name => name.toLowerCase());
+    const query = [];
+    for (const param of path.substring(queryIndex + 1).split("&")) {
+        if (!sanitizeParams.includes(queryParamName(param))) {
+            query.push(param);
+        } else if (options.mode !== "remove") {
+            query.push(`${param.split("=")[0]}=${SANITIZED_VALUE}`);
+        }
+    }
+    return query.length > 0 ? `${pathname}?${query.join("&")}` : pathname;
+}
+
+function sanitizeUrlOptions(options) {
+    if (options === false) {
+        return undefined;
+    }
+    options = options || {};
+    let mode = options.mode || "mask";
+    if (!SANITIZE_MODES.includes(mode)) {
+        console.error(`Unknown url sanitizing mode '${mode}', using 'mask'. Supported modes: ${SANITIZE_MODES.join(", ")}`);
+        mode = "mask";
+    }
+    return {
+        mode,
+        queryParams: options.queryParams || DEFAULT_SANITIZE_QUERY_PARAMS
+    };
+}
+
+// route templates per host, e.g. { "example.com": ["/api/v1/namespaces/{namespace}/actions/{action}"] },
+// compiled to regular expressions matching the path
+function compileRouteTemplates(routeTemplates) {
+    const compiled = [];
+    for (const [host, templates] of Object.entries(routeTemplates || {})) {
+        for (const template of [].concat(templates)) {
+            const source = template
+                .split(ROUTE_TEMPLATE_PARAM_REGEX)
+                .map(literal => literal.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+                .join("[^/]+");
+            compiled.push({
+                host,
+                template,
+                regex: new RegExp(`^${source}/?$`)
+            });
+        }
+    }
+    return compiled;
+}
+
+/**
+ * Returns the path without query string, with ids replaced by placeholders,
+ * to group requests to the same endpoint. Uses the first matching route template
+ * of the host (or of `*` for all hosts), otherwise UUIDs, numbers and hex hashes
+ * in the path are replaced with `{uuid}`, `{number}` and `{hash}`.
+ *
+ * @param {String} path request path
+ * @param {String} host hostname of the request
+ * @param {Object[]} routeTemplates compiled route templates (See compileRouteTemplates())
+ * @returns {String} path template
+ */
+function pathTemplate(path, host, routeTemplates) {
+    const pathname = path.split("?")[0];
+    const route = routeTemplates.find(route => (route.host === host || route.host === "*") && route.regex.test(pathname));
+    if (route) {
+        return route.template;
+    }
+    return pathname.split("/").map(segment => {
+        const match = PATH_SEGMENT_PLACEHOLDERS.find(({ pattern }) => pattern.test(segment));
+        return match ? match.placeholder : segment;
+    }).join("/");
+}
+
+// regular expression without global or sticky flag, as test() would then only match
+// every other time, or undefined if the pattern is invalid
+function toRegExp(pattern) {
+    if (pattern instanceof RegExp) {
+        return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ""));
+    }
+    try {
+        return new RegExp(pattern);
+    } catch (e) {
+        console.error(`Invalid url pattern for ignoring http requests, ignoring it: ${e.message}`);
+        return undefined;
+    }
+}
+
+// normalize the ignore options for matching each request
+function ignoreRules(options) {
+    if (!options) {
+        return undefined;
+    }
+    return {
+        hosts: [].concat(options.hosts || []).map(host => host.toLowerCase()),
+        urls: [].concat(options.urls || []).map(toRegExp).filter(url => url),
+        methods: [].concat(options.methods || []).map(method => method.toUpperCase()),
+        predicate: options.predicate
+    };
+}
+
+/**
+ * Returns true if the request matches any of the ignore rules.
+ *
+ * @param {Object} target request target with `protocol`, `host`, `port`, `origin`, `path`, `url` and `method`
+ * @param {Object} rules ignore rules (See ignoreRules())
+ * @returns {Boolean} true if the request should not be instrumented
+ */
+function isIgnored(target, rules) {
+    if (!rules) {
+        return false;
+    }
+    if (rules.hosts.includes(target.host.toLowerCase())
+        || rules.urls.some(regex => regex.test(target.url))
+        || rules.methods.includes(target.method)) {
+        return true;
+    }
+    if (typeof rules.predicate === "function") {
+        try {
+            return Boolean(rules.predicate(target));
+        } catch (e) {
+            console.error("Error in http request ignore predicate, request is not ignored:", e);
+        }
+    }
+    return false;
+}
+
+/**
+ * Prepare the probe options for use with each request.
+ *
+ * @param {Object} options probe options with `sanitizeUrl`, `routeTemplates` and `ignore`
+ * (See start() in http-client.js)
+ * @returns {Object} object with `sanitizeUrl`, `routeTemplates` and `ignoreRules`
+ */
+function probeOptions(options={}) {
+    return {
+        sanitizeUrl: sanitizeUrlOptions(options.sanitizeUrl),
+        routeTemplates: compileRouteTemplates(options.routeTemplates),
+        ignoreRules: ignoreRules(options.ignore)
+    };
+}
+
+module.exports = {
+    probeOptions,
+    sanitizePath,
+    pathTemplate,
+    isIgnored
+};
@@ -0,0 +1,294 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+// Instrumentation of the undici http client, which implements the global fetch() in Node 18+,
+// using its diagnostics channel events:
+// https://github.com/nodejs/undici/blob/main/docs/api/DiagnosticsChannel.md
+
+const debug = require('debug')('undici');
+const fnwrap = require('./fnwrap');
+const { HttpRequestMetrics } = require('./http-client');
+const { probeOptions } = require('./request-options');
+const { getDurationInMs } = require('../metrics');
+
+let diagnosticsChannel;
+try {
+    diagnosticsChannel = require('diagnostics_channel');
+} catch (e) {
+    debug("diagnostics_channel not available, undici is not instrumented:", e.message);
+}
+
+// undici request object => UndiciRequestMetrics
+const requests = new WeakMap();
+// connector => start times of pending connects, in order. the connect params
+// of the beforeConnect and connected events are not the same object
+const pendingConnects = new WeakMap();
+// socket => connection timings
+const connections = new WeakMap();
+// active channel subscriptions, also keeps the channels from being garbage collected
+let subscriptions;
+
+// find a header value in undici headers, which are either a raw string of "name: value\r\n"
+// lines (Node 18) or a flat array of names and values as strings or buffers
+function headerValue(headers, name) {
+    name = name.toLowerCase();
+    if (Array.isArray(headers)) {
+        for (let i = 0; i + 1 < headers.length; i += 2) {
+            if (String(headers[i]).toLowerCase() === name) {
+                return String(headers[i + 1]);
+            }
+        }
+    } else if (typeof headers === "string") {
+        for (const line of headers.split("\r\n")) {
+            const index = line.indexOf(":");
+            if (index > 0 && line.substring(0, index).trim().toLowerCase() === name) {
+                return line.substring(index + 1).trim();
+            }
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Metrics of a single undici request, reported with the same attributes as
+ * requests using the node http and https modules.
+ */
+class UndiciRequestMetrics extends HttpRequestMetrics {
+    constructor(undiciRequest) {
+        super();
+        this.undiciRequest = undiciRequest;
+        // header access as expected by HttpRequestMetrics
+        this.request = {
+            getHeader: (name) => headerValue(undiciRequest.headers, name),
+            setHeader: (name, value) => undiciRequest.addHeader(name, value)
+        };
+    }
+
+    getRequestTarget() {
+        const origin = new URL(String(this.undiciRequest.origin));
+        const protocol = origin.protocol;
+        const port = origin.port ? parseInt(origin.port, 10) : (protocol === "https:" ? 443 : 80);
+        const path = this.undiciRequest.path || "/";
+        return {
+            protocol: protocol,
+            // remove brackets of IPv6 addresses
+            host: origin.hostname.replace(/^\[(.*)\]$/, "$1"),
+            port: port,
+            origin: origin.origin,
+            path: path,
+            url: `${origin.origin}${path}`,
+            method: (this.undiciRequest.method || "GET").toUpperCase()
+        };
+    }
+
+    // returns false if the request is ignored
+    onCreate() {
+        if (this.ignoreRequest()) {
+            return false;
+        }
+        debug("⚡️ [undici] request", this.undiciRequest.method, this.undiciRequest.origin, this.undiciRequest.path);
+        this.injectTraceContext(this.request);
+
+        // undici events after this one run in the async context of the (possibly reused) connection
+        this.bindMetricsCallback();
+
+        const contentLength = this.undiciRequest.contentLength;
+        this.requestBodySize = typeof contentLength === "number" ? contentLength : parseInt(this.request.getHeader("content-length"), 10);
+        if (isNaN(this.requestBodySize)) {
+            // streamed request body of unknown size
+            this.requestBodySize = undefined;
+        }
+        this.trackResponseBody();
+        return true;
+    }
+
+    trackResponseBody() {
+        this.receivedBodySize = 0;
+        if (typeof this.undiciRequest.onData !== "function") {
+            return;
+        }
+        // wrap request.onData() to count the response body size as it is received
+        fnwrap.wrap(this.undiciRequest, "onData", (onData, request) => {
+            return (chunk) => {
+                if (chunk && chunk.length) {
+                    this.receivedBodySize += chunk.length;
+                }
+                return onData.call(request, chunk);
+            };
+        });
+    }
+
+    onSendHeaders(socket, connection) {
+        debug("⚡️ [undici] sendHeaders");
+        // connection timings only apply to the first request on a new connection
+        // that was not already being established before this request
+        if (connection && !connection.used && getDurationInMs(this.timings.startAt, connection.connectStartAt) >= 0) {
+            this.timings.socketAt = connection.connectStartAt;
+            this.timings.tcpConnectionAt = connection.connectedAt;
+        } else {
+            this.timings.socketAt = process.hrtime();
+        }
+        // sockets connected before the instrumentation started are reused too
+        this.socketReused = !connection || Boolean(connection.used);
+        if (connection) {
+            connection.used = true;
+        }
+        if (socket) {
+            this.localAddress = socket.localAddress;
+            this.remoteAddress = socket.remoteAddress;
+            this.recordTls(socket);
+        }
+    }
+
+    onBodySent() {
+        debug("⚡️ [undici] bodySent");
+        this.timings.sentRequestAt = process.hrtime();
+    }
+
+    onResponse(response) {
+        debug("⚡️ [undici] headers");
+        this.timings.firstByteAt = process.hrtime();
+        this.response = response;
+
+        // custom header to correlate requests with logs and backend services in case of errors
+        this.serverRequestId = headerValue(response.headers, "x-request-id") || headerValue(response.headers, "x-correlation-id");
+        this.responseContentLength = parseInt(headerValue(response.headers, "content-length"), 10);
+
+        this.startNoResponseEndTimer();
+    }
+
+    onEnd() {
+        debug("⚡️ [undici] end");
+        this.responseSize = isNaN(this.responseContentLength) ? this.receivedBodySize : this.responseContentLength;
+        super.onEnd();
+    }
+
+    getResponseMetrics() {
+        if (!this.response) {
+            return {};
+        }
+
+        const res = this.response;
+
+        return {
+            responseCode: res.statusCode,
+            responseStatus: res.statusText,
+            contentType: headerValue(res.headers, "content-type"),
+            localIPAddress: this.localAddress,
+            serverIPAddress: this.remoteAddress
+        };
+    }
+}
+
+function subscribe(name, onMessage) {
+    const channel = diagnosticsChannel.channel(name);
+    const subscriber = (message) => {
+        // never let instrumentation errors fail the request
+        try {
+            onMessage(message);
+        } catch (e) {
+            console.error(`undici metrics: error handling ${name} event:`, e);
+        }
+    };
+    channel.subscribe(subscriber);
+    subscriptions.push({ channel, subscriber });
+}
+
+// invoke handler with the metrics of the request of the event, if it is tracked
+function forRequest(handler) {
+    return (message) => {
+        const metrics = requests.get(message.request);
+        if (metrics) {
+            handler(metrics, message);
+        }
+    };
+}
+
+/**
+ * Start instrumentation of undici requests, including the global fetch() in Node 18+.
+ * This only has an effect the first time this is called, and only if the node
+ * diagnostics_channel module is available.
+ *
+ * Instrumentation can be ended by calling stop().
+ *
+ * @param {Function} metricsCallback will be called with the arguments "metrics", which
+ *                                   will be an object containing the http metrics, and
+ *                                   "traceContext", the trace context of the request if any
+ * @param {Function} traceContextCallback [OPTIONAL] will be called for each request and can return
+ *                                   a trace context object (See start() in http-client.js)
+ * @param {Object} options [OPTIONAL] instrumentation options, same as for start() in http-client.js
+ */
+function start(metricsCallback, traceContextCallback, options={}) {
+    if (!diagnosticsChannel || subscriptions) {
+        return;
+    }
+    subscriptions = [];
+    const attributes = probeOptions(options);
+
+    subscribe("undici:request:create", ({ request }) => {
+        const metrics = new UndiciRequestMetrics(request)
+            .withMetricsCallback(metricsCallback)
+            .withTraceContextCallback(traceContextCallback)
+            .withUrlSanitizing(attributes.sanitizeUrl)
+            .withRouteTemplates(attributes.routeTemplates)
+            .withIgnoreRules(attributes.ignoreRules);
+        if (metrics.onCreate()) {
+            requests.set(request, metrics);
+        }
+    });
+    subscribe("undici:client:beforeConnect", ({ connector }) => {
+        const pending = pendingConnects.get(connector) || [];
+        pending.push(process.hrtime());
+        pendingConnects.set(connector, pending);
+    });
+    subscribe("undici:client:connected", ({ connector, socket }) => {
+        const pending = pendingConnects.get(connector);
+        const connectStartAt = pending && pending.shift();
+        if (connectStartAt && socket) {
+            connections.set(socket, { connectStartAt, connectedAt: process.hrtime() });
+        }
+    });
+    subscribe("undici:client:connectError", ({ connector }) => {
+        const pending = pendingConnects.get(connector);
+        if (pending) {
+            pending.shift();
+        }
+    });
+    subscribe("undici:client:sendHeaders", forRequest((metrics, { socket }) => {
+        metrics.onSendHeaders(socket, socket && connections.get(socket));
+    }));
+    subscribe("undici:request:bodySent", forRequest((metrics) => metrics.onBodySent()));
+    subscribe("undici:request:headers", forRequest((metrics, { response }) => metrics.onResponse(response)));
+    subscribe("undici:request:trailers", forRequest((metrics) => metrics.onEnd()));
+    subscribe("undici:request:error", forRequest((metrics, { error }) => metrics.onError(error)));
+}
+
+/**
+ * Ends instrumentation of undici requests. Only has an effect after start()
+ * has been called before. Repeated invocation will be a no op.
+ */
+function stop() {
+    if (subscriptions) {
+        for (const { channel, subscriber } of subscriptions) {
+            channel.unsubscribe(subscriber);
+        }
+        subscriptions = undefined;
+    }
+}
+
+module.exports = {
+    start,
+    stop
+};
@@ -14,107 +14,434 @@
 'use strict';
 
 const Metrics = require('./metrics');
-const fetch = require('node-fetch');
-const { promisify } = require('util');
-const gzip = promisify(require('zlib').gzip);
-
-// Do not reuse this user agent for anything other than sending metrics to newrelic insights.
-// This user agent value is used to identify those requests in order to ignore them from
-// http request metrics in lib/probe/http-client.js
-const USER_AGENT = "adobe-openwhisk-newrelic/1.0";
+const EventApiExporter = require('./exporter/event-api');
+const ConsoleExporter = require('./exporter/console');
+const MetricApiExporter = require('./exporter/metric-api');
+const TraceApiExporter = require('./exporter/trace-api');
 
 const DEFAULT_SEND_INTERVAL_MS = 10000; // 10 sec
 
-// New Relic Insights has a limit of 1 MB for one POST request,
-// so the number of events that can fit in depend on their number
-// of attributes and their value lengths. We go conservatively
-// and limit at 50, which gives us 20kb of data per event
+// how long flush() waits at most for the queue to be sent
+const DEFAULT_FLUSH_TIMEOUT_MS = 5000;
+
+// retries for failed exports, using exponential backoff with jitter:
+// ~0.5s, ~1s, ~2s by default, overwritten by any Retry-After response header
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+// do not retry if the action would time out before or right after the retry
+const RETRY_DEADLINE_BUFFER_MS = 1000;
+// New Relic Insights has a limit of 1 MB for one POST request, so events are
+// packed into batches up to that size of their JSON serialization
 // https://docs.newrelic.com/docs/insights/insights-data-sources/custom-data/insights-custom-data-requirements-limits
-const MAX_EVENTS = 50;
+const DEFAULT_MAX_BATCH_BYTES = 1000000;
+// "[" and "]" around the events in a batch
+const BATCH_OVERHEAD_BYTES = 2;
+// send intervals without any metric events after which a queue is removed
+// and its timer stopped, so that queues for many accounts do not pile up
+const MAX_IDLE_INTERVALS = 6;
 
-const endpoint = {
-    url: undefined,
-    apiKey: undefined
-};
+// logs the largest attributes of an event to help find what makes it too big
+function largestAttributes(event, count=5) {
+    return Object.entries(event)
+        .map(([key, value]) => ({ key, size: Buffer.byteLength(JSON.stringify(key) + JSON.stringify(value)) + 1 }))
+        .sort((a, b) => b.size - a.size)
+        .slice(0, count)
+        .map(attr => `${attr.key} (${attr.size} bytes)`)
+        .join(", ");
+}
+
+function retryDelay(attempt, error) {
+    if (Number.isFinite(error.retryAfter)) {
+        return error.retryAfter;
+    }
+    const baseDelay = parseInt(process.env.NEW_RELIC_SEND_RETRY_DELAY_MS, 10) || DEFAULT_RETRY_DELAY_MS;
+    const backoff = Math.min(MAX_RETRY_DELAY_MS, baseDelay * 2 ** attempt);
+    // jitter: random delay between half and the full backoff
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+function exporterName(exporter) {
+    return (exporter.constructor && exporter.constructor.name) || "exporter";
+}
 
-// metric events to send
-const queue = [];
+/**
+ * Queue of metric events sent in batches to one or more exporters,
+ * by default to one NewRelic endpoint and API key.
+ */
+class SendQueue {
+
+    /**
+     * @param {Exporter[]} exporters exporters to send the batches to (See exporter/event-api.js)
+     * @param {Object} options queue settings: sendInterval, maxRetries and maxBatchBytes
+     */
+    constructor(exporters, options) {
+        this.exporters = exporters;
+        this.sendInterval = options.sendInterval;
+        this.maxRetries = options.maxRetries;
+        this.maxBatchBytes = options.maxBatchBytes;
 
-// id for the regular send interval timer
-let sendTimer;
+        // metric events to send, as { event, size } with the flattened event
+        // and the byte size of its JSON serialization
+        this.queue = [];
+        // pending retry delays, to be cancelled on stop()
+        this.retryWaits = new Set();
+        // promises of the batches currently being sent, including their retries
+        this.inFlight = new Set();
 
-async function send(metrics, immediately) {
-    queue.push(metrics);
-    if (immediately) {
-        await sendQueue();
+        this.startTimer();
     }
-}
 
-function start(url, apiKey, sendInterval) {
-    endpoint.url = url;
-    endpoint.apiKey = apiKey;
+    startTimer() {
+        this.idleIntervals = 0;
+        this.sendTimer = setInterval(() => this.onInterval(), this.sendInterval);
+    }
 
-    if (!sendTimer) {
-        sendInterval = sendInterval || process.env.NEW_RELIC_SEND_INTERVAL_MS || DEFAULT_SEND_INTERVAL_MS;
-        sendTimer = setInterval(sendQueue, sendInterval);
+    onInterval() {
+        if (this.queue.length > 0 || this.inFlight.size > 0 || this.retryWaits.size > 0) {
+            this.idleIntervals = 0;
+            this.sendQueue();
+            return;
+        }
+        this.idleIntervals++;
+        if (this.idleIntervals >= MAX_IDLE_INTERVALS) {
+            clearInterval(this.sendTimer);
+            this.sendTimer = undefined;
+            if (this.onIdle) {
+                this.onIdle();
+            }
+        }
     }
-}
 
-function stop() {
-    if (sendTimer) {
-        if (queue && queue.length > 0) {
-            console.log(`Stopping send queue with ${queue.length} metric events left in it`);
-            queue.length = 0;
+    async send(metrics, immediately) {
+        let event;
+        let size;
+        try {
+            // flatten metrics as newrelic only accepts key = literal values, no nested objects
+            event = Metrics.flatten(metrics);
+            size = Buffer.byteLength(JSON.stringify(event));
+        } catch (e) {
+            console.error(`Unable to send metrics to NewRelic: ${e.message}`);
+            console.error("Metrics not sent: ", metrics);
+            return;
         }
-        clearInterval(sendTimer);
-        sendTimer = undefined;
+        await this.enqueue(event, immediately, size);
     }
-}
 
-async function sendQueue() {
-    // nothing to do if queue is empty
-    if (!queue || queue.length === 0) {
-        return;
-    }
-
-    const batch = queue.splice(0, MAX_EVENTS);
-    // ensure to immediately run again for handling the remaining queue
-    if (queue.length > 0) {
-        setImmediate(sendQueue);
-    }
-
-    try {
-        console.log(`Sending ${batch.length} queued metrics to ${endpoint.url}`);
-        // flatten metrics as newrelic only accepts key = literal values, no nested objects
-        const array = batch.map(m => Metrics.flatten(m));
-        // POST to https://insights-collector.newrelic.com/....
-        const response = await fetch(endpoint.url, {
-            method: "POST",
-            headers: {
-                "X-Insert-Key": endpoint.apiKey,
-                "Content-Type": "application/json",
-                "Content-Encoding": "gzip",
-                "User-Agent": USER_AGENT
-            },
-            body: await gzip(JSON.stringify(array))
+    /**
+     * Queue an item as is, without flattening it. Used for payloads that are not
+     * events, such as the Metric API payloads (See aggregator.js).
+     *
+     * @param {Object} event item to queue
+     * @param {Boolean} immediately set to true to send the queue immediately
+     * @param {Number} size [OPTIONAL] byte size of the JSON serialization of the item
+     */
+    async enqueue(event, immediately, size) {
+        if (size === undefined) {
+            size = Buffer.byteLength(JSON.stringify(event));
+        }
+
+        if (size + BATCH_OVERHEAD_BYTES > this.maxBatchBytes) {
+            console.error(`Metrics event of type '${event.eventType || "metrics"}' is ${size} bytes and can never fit into the maximum batch size of ${this.maxBatchBytes} bytes. Largest attributes: ${largestAttributes(event)}`);
+            console.error("Metrics not sent: ", event);
+            return;
+        }
+
+        this.queue.push({ event, size });
+        // queue was idle, but is still used by a NewRelic instance
+        if (!this.sendTimer) {
+            this.startTimer();
+        }
+        if (immediately) {
+            await this.sendQueue();
+        }
+    }
+
+    stop() {
+        if (this.queue.length > 0) {
+            console.log(`Stopping send queue with ${this.queue.length} metric events left in it`);
+            this.queue.length = 0;
+        }
+        clearInterval(this.sendTimer);
+
+        // cancel any retries, their batches will be dropped
+        for (const retryWait of this.retryWaits) {
+            clearTimeout(retryWait.timer);
+            retryWait.resolve(false);
+        }
+        this.retryWaits.clear();
+
+        for (const exporter of this.exporters) {
+            if (typeof exporter.shutdown === "function") {
+                try {
+                    exporter.shutdown();
+                } catch (e) {
+                    console.error(`Unable to shut down metrics ${exporterName(exporter)}: ${e.message}`);
+                }
+            }
+        }
+    }
+
+    // waits for the retry delay, resolves to false if the queue was stopped in between
+    waitForRetry(delay) {
+        return new Promise(resolve => {
+            const retryWait = { resolve };
+            retryWait.timer = setTimeout(() => {
+                this.retryWaits.delete(retryWait);
+                resolve(true);
+            }, delay);
+            this.retryWaits.add(retryWait);
         });
+    }
 
-        if (response.status !== 200) {
-            console.log(`Error sending NewRelic metrics with status ${response.status}: ${response.statusText}`);
-            console.error("Metrics not sent: ", batch);
-        } else {
-            console.log(`Metrics successfully sent to NewRelic, response: ${JSON.stringify(await response.json())}`);
+    // take as many events from the queue as fit into the batch size, at least one
+    nextBatch() {
+        let batchSize = BATCH_OVERHEAD_BYTES;
+        let count = 0;
+        while (count < this.queue.length) {
+            // "," between events
+            const size = this.queue[count].size + (count > 0 ? 1 : 0);
+            if (count > 0 && batchSize + size > this.maxBatchBytes) {
+                break;
+            }
+            batchSize += size;
+            count++;
         }
+        return this.queue.splice(0, count).map(entry => entry.event);
+    }
 
-    } catch (e) {
-        console.error(`Unable to send metrics to NewRelic: ${e.message}`);
+    // send the next batch and track it as in flight until it is sent or failed
+    sendQueue() {
+        const promise = this.sendBatch();
+        this.inFlight.add(promise);
+        return promise.finally(() => this.inFlight.delete(promise));
+    }
+
+    async sendBatch() {
+        // nothing to do if queue is empty
+        if (this.queue.length === 0) {
+            return;
+        }
+
+        const batch = this.nextBatch();
+        // ensure to immediately run again for handling the remaining queue
+        if (this.queue.length > 0) {
+            setImmediate(() => this.sendQueue());
+        }
+
+        // each exporter is retried independently
+        await Promise.all(this.exporters.map(exporter => this.export(exporter, batch)));
+    }
+
+    async export(exporter, batch) {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            try {
+                await exporter.export(batch);
+                return;
+            } catch (e) {
+                error = e;
+                console.error(`Unable to send metrics using ${exporterName(exporter)}: ${e.message}`);
+            }
+            // exporter sent part of the batch, only retry the rest
+            if (Array.isArray(error.unsent)) {
+                batch = error.unsent;
+            }
+
+            if (!error.retryable || attempt >= this.maxRetries) {
+                break;
+            }
+            const delay = retryDelay(attempt, error);
+            if (delay > Metrics.timeUntilTimeout() - RETRY_DEADLINE_BUFFER_MS) {
+                console.error(`Not retrying to send metrics in ${delay} ms as the action would time out before`);
+                break;
+            }
+            console.log(`Retrying to send metrics in ${delay} ms (retry ${attempt + 1} of ${this.maxRetries})`);
+            if (!await this.waitForRetry(delay)) {
+                console.log("Send queue was stopped, not retrying to send metrics");
+                break;
+            }
+        }
         console.error("Metrics not sent: ", batch);
     }
+
+    // send all batches in the queue and wait for all in flight requests to finish
+    async drain() {
+        while (this.queue.length > 0 || this.inFlight.size > 0) {
+            while (this.queue.length > 0) {
+                this.sendQueue();
+            }
+            await Promise.all(Array.from(this.inFlight));
+        }
+    }
+
+    /**
+     * Send all queued metric events and wait until all requests to NewRelic have finished,
+     * including retries, or until the timeout is reached.
+     *
+     * @param {Number} timeout [OPTIONAL] maximum time to wait in milliseconds, defaults to 5 seconds
+     * @returns {Promise<Boolean>} true if all metric events were sent, false if the timeout was reached
+     */
+    async flush(timeout) {
+        timeout = parseInt(timeout || process.env.NEW_RELIC_FLUSH_TIMEOUT_MS, 10) || DEFAULT_FLUSH_TIMEOUT_MS;
+
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), timeout);
+        });
+        const flushed = await Promise.race([
+            this.drain().then(() => true),
+            timedOut
+        ]);
+        clearTimeout(timer);
+
+        if (!flushed) {
+            console.error(`Flushing metrics did not finish within ${timeout} ms, ${this.queue.length} metric events left in queue and ${this.inFlight.size} requests in flight`);
+        }
+        return flushed;
+    }
+}
+
+// send queues by exporters and queue settings
+const queues = new Map();
+
+// ids to identify custom exporter instances in queue keys
+const exporterIds = new WeakMap();
+let nextExporterId = 1;
+
+function exporterId(exporter) {
+    if (!exporterIds.has(exporter)) {
+        exporterIds.set(exporter, nextExporterId++);
+    }
+    return exporterIds.get(exporter);
+}
+
+/**
+ * Get the send queue for the exporters configured in the NewRelic options, by default
+ * the NewRelic endpoint and API key. NewRelic objects with the same endpoint and API
+ * key, or the same exporter instances, and the same queue options share a queue, so that
+ * their metric events are sent in the same batches, while metric events for different
+ * endpoints or accounts are always kept separate.
+ *
+ * With `dryRun` set, metric events are written to stdout or a file instead (See exporter/console.js).
+ *
+ * @param {NewRelicOptions} options NewRelic options: newRelicEventsURL, newRelicApiKey, exporters,
+ * dryRun, sendIntervalMs, sendMaxRetries and maxBatchBytes
+ * @returns {SendQueue} send queue
+ */
+function getQueue(options) {
+    const hasExporters = Array.isArray(options.exporters) && options.exporters.length > 0;
+    // a dry run file path, or stdout if dryRun is true
+    const dryRunFile = typeof options.dryRun === "string" ? options.dryRun : undefined;
+
+    if (options.dryRun) {
+        return queueFor(["dryRun", dryRunFile], options, () => {
+            console.error(`NewRelic metrics dry run, writing metric events to ${dryRunFile || "stdout"} instead of sending them`);
+            return [ new ConsoleExporter({ file: dryRunFile }) ];
+        });
+    }
+    if (hasExporters) {
+        return queueFor(options.exporters.map(exporterId), options, () => options.exporters);
+    }
+    return queueFor([options.newRelicEventsURL, options.newRelicApiKey], options, () => [
+        new EventApiExporter({
+            url: options.newRelicEventsURL,
+            apiKey: options.newRelicApiKey
+        })
+    ]);
+}
+
+/**
+ * Get the send queue for dimensional metrics sent to the NewRelic Metric API, configured by
+ * `newRelicMetricsURL` (defaults to the US region) and `newRelicApiKey`. The queued items are
+ * Metric API payloads (See aggregator.js), to be added using SendQueue.enqueue().
+ *
+ * With `dryRun` set, the payloads are written to stdout or the dry run file instead.
+ *
+ * @param {NewRelicOptions} options NewRelic options
+ * @returns {SendQueue} send queue, or undefined if there is no NewRelic API key
+ */
+function getMetricQueue(options) {
+    return getTelemetryQueue("metrics", options, MetricApiExporter, options.newRelicMetricsURL);
+}
+
+/**
+ * Get the send queue for spans sent to the NewRelic Trace API, configured by
+ * `newRelicTracesURL` (defaults to the US region) and `newRelicApiKey`. The queued items are
+ * Trace API payloads (See trace.js), to be added using SendQueue.enqueue().
+ *
+ * With `dryRun` set, the payloads are written to stdout or the dry run file instead.
+ *
+ * @param {NewRelicOptions} options NewRelic options
+ * @returns {SendQueue} send queue, or undefined if there is no NewRelic API key
+ */
+function getTraceQueue(options) {
+    return getTelemetryQueue("traces", options, TraceApiExporter, options.newRelicTracesURL);
+}
+
+// queue for payloads of other NewRelic APIs than the Event API
+function getTelemetryQueue(type, options, Exporter, url) {
+    const dryRunFile = typeof options.dryRun === "string" ? options.dryRun : undefined;
+
+    if (options.dryRun) {
+        return queueFor([type, "dryRun", dryRunFile], options, () => [
+            new ConsoleExporter({ file: dryRunFile })
+        ]);
+    }
+    if (!options.newRelicApiKey) {
+        return undefined;
+    }
+    url = url || Exporter.DEFAULT_URL;
+    return queueFor([type, url, options.newRelicApiKey], options, () => [
+        new Exporter({
+            url,
+            apiKey: options.newRelicApiKey
+        })
+    ]);
+}
+
+// get or create the queue for the destination and queue options
+function queueFor(destination, options, createExporters) {
+    let maxRetries = options.sendMaxRetries;
+    if (maxRetries === undefined || maxRetries === null) {
+        maxRetries = process.env.NEW_RELIC_SEND_MAX_RETRIES || DEFAULT_MAX_RETRIES;
+    }
+    const queueOptions = {
+        sendInterval: parseInt(options.sendIntervalMs || process.env.NEW_RELIC_SEND_INTERVAL_MS, 10) || DEFAULT_SEND_INTERVAL_MS,
+        maxRetries: parseInt(maxRetries, 10),
+        maxBatchBytes: parseInt(options.maxBatchBytes || process.env.NEW_RELIC_MAX_BATCH_BYTES, 10) || DEFAULT_MAX_BATCH_BYTES
+    };
+
+    const key = JSON.stringify([destination, queueOptions.sendInterval, queueOptions.maxRetries, queueOptions.maxBatchBytes]);
+    let queue = queues.get(key);
+    if (!queue) {
+        const exporters = createExporters();
+        queue = new SendQueue(exporters, queueOptions);
+        queues.set(key, queue);
+        // idle queues are removed, new NewRelic instances get a new queue
+        queue.onIdle = () => {
+            if (queues.get(key) === queue) {
+                queues.delete(key);
+            }
+        };
+    }
+    return queue;
+}
+
+/**
+ * Stop all send queues, dropping any metric events left in them.
+ */
+function stop() {
+    for (const queue of queues.values()) {
+        queue.stop();
+    }
+    queues.clear();
 }
 
 module.exports = {
-    start,
+    getQueue,
+    getMetricQueue,
+    getTraceQueue,
     stop,
-    send,
-    USER_AGENT
-};
\ No newline at end of file
+    USER_AGENT: EventApiExporter.USER_AGENT
+};
@@ -46,6 +46,8 @@ function beforeEachTest() {
     // send metrics almost immediately so that unit tests don't have to wait
     // too long - see metricsDone() waiting 100ms by default
     process.env.NEW_RELIC_SEND_INTERVAL_MS = 10;
+    // same for retries of failed metrics requests
+    process.env.NEW_RELIC_SEND_RETRY_DELAY_MS = 10;
 }
 
 /**
@@ -55,6 +57,7 @@ function beforeEachTest() {
  */
 function afterEachTest() {
     delete process.env.NEW_RELIC_SEND_INTERVAL_MS;
+    delete process.env.NEW_RELIC_SEND_RETRY_DELAY_MS;
 
     // stop the queue so no pending timers that would block end of mocha execution
     sendQueue.stop();
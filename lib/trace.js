@@ -0,0 +1,180 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+'use strict';
+
+// W3C Trace Context
+// https://www.w3.org/TR/trace-context/
+
+const crypto = require('crypto');
+const Metrics = require('./metrics');
+
+const TRACEPARENT_VERSION = "00";
+// version-traceid-parentid-flags, with any version except the invalid "ff"
+const TRACEPARENT_REGEX = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+// trace is sampled (recorded)
+const TRACE_FLAGS_SAMPLED = "01";
+
+function randomId(bytes) {
+    let id;
+    do {
+        id = crypto.randomBytes(bytes).toString("hex");
+    // all zero ids are invalid
+    } while (/^0+$/.test(id));
+    return id;
+}
+
+/**
+ * Generate a new random trace id.
+ *
+ * @returns {String} trace id, 32 lowercase hex characters
+ */
+function newTraceId() {
+    return randomId(16);
+}
+
+/**
+ * Generate a new random span id.
+ *
+ * @returns {String} span id, 16 lowercase hex characters
+ */
+function newSpanId() {
+    return randomId(8);
+}
+
+/**
+ * Format a `traceparent` header value.
+ *
+ * @param {String} traceId trace id
+ * @param {String} spanId id of the span making the request, the parent of the receiving span
+ * @returns {String} traceparent header value
+ */
+function traceparent(traceId, spanId) {
+    return `${TRACEPARENT_VERSION}-${traceId}-${spanId}-${TRACE_FLAGS_SAMPLED}`;
+}
+
+/**
+ * Parse a `traceparent` header value.
+ *
+ * @param {String} header traceparent header value
+ * @returns {Object} object with `traceId` and `parentId`, or undefined if the header is missing or invalid
+ */
+function parseTraceparent(header) {
+    if (typeof header !== "string") {
+        return undefined;
+    }
+    const match = TRACEPARENT_REGEX.exec(header.trim().toLowerCase());
+    if (!match) {
+        return undefined;
+    }
+    const [, version, traceId, parentId] = match;
+    // only version 00 has exactly 4 fields
+    if (version === "ff" || (version === TRACEPARENT_VERSION && match[5]) || /^0+$/.test(traceId) || /^0+$/.test(parentId)) {
+        return undefined;
+    }
+    return { traceId, parentId };
+}
+
+/**
+ * @typedef SpanOptions
+ * @type {Object}
+ * @property {String} name span name
+ * @property {String} traceId trace id
+ * @property {String} parentId [OPTIONAL] id of the parent span, not set for a root span
+ * @property {String} id [OPTIONAL] span id, defaults to a new random span id
+ * @property {Number} timestamp [OPTIONAL] start time in milliseconds since Unix epoch, defaults to now
+ * @property {Object} attributes [OPTIONAL] custom attributes of the span
+ */
+
+/**
+ * A span of a distributed trace, measuring the duration of a unit of work.
+ */
+class Span {
+
+    /**
+     * Create and start a span.
+     *
+     * @param {SpanOptions} options span options
+     */
+    constructor(options) {
+        this.name = options.name;
+        this.traceId = options.traceId;
+        this.parentId = options.parentId;
+        this.id = options.id || newSpanId();
+        this.timestamp = options.timestamp || Metrics.timestamp();
+        this.attributes = { ...options.attributes };
+        this.startTime = process.hrtime();
+    }
+
+    /**
+     * Add custom attributes to the span.
+     *
+     * @param {Object} attributes attributes to add
+     */
+    add(attributes) {
+        Object.assign(this.attributes, attributes);
+    }
+
+    /**
+     * End the span. Only the first invocation has an effect.
+     *
+     * @param {Error} error [OPTIONAL] error with which the work failed
+     * @param {Number} duration [OPTIONAL] duration in milliseconds, defaults to the time since the span was created
+     * @returns {Boolean} true if the span was ended, false if it was already ended before
+     */
+    end(error, duration) {
+        if (this.duration !== undefined) {
+            return false;
+        }
+        this.duration = duration !== undefined ? duration : Metrics.getDurationInMs(this.startTime, process.hrtime());
+        this.error = error;
+        return true;
+    }
+
+    /**
+     * Returns the span in the NewRelic Trace API format (`newrelic` data format).
+     *
+     * https://docs.newrelic.com/docs/understand-dependencies/distributed-tracing/trace-api/report-new-relic-format-traces-trace-api
+     *
+     * @returns {Object} span
+     */
+    toTraceApi() {
+        const attributes = {
+            ...Metrics.flatten(this.attributes),
+            name: this.name,
+            "duration.ms": this.duration
+        };
+        if (this.parentId) {
+            attributes["parent.id"] = this.parentId;
+        }
+        if (this.error) {
+            attributes.error = true;
+            attributes["error.class"] = this.error.name;
+            attributes["error.message"] = this.error.message;
+        }
+        return {
+            id: this.id,
+            "trace.id": this.traceId,
+            timestamp: this.timestamp,
+            attributes
+        };
+    }
+}
+
+module.exports = {
+    newTraceId,
+    newSpanId,
+    traceparent,
+    parseTraceparent,
+    Span
+};
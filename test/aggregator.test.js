@@ -0,0 +1,88 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const MetricAggregator = require('../lib/aggregator');
+
+const assert = require('assert');
+
+describe("aggregator.js", function() {
+
+    it("should aggregate gauge, count and summary metrics", function() {
+        const aggregator = new MetricAggregator();
+        aggregator.record("gauge", "memory", 10);
+        aggregator.record("gauge", "memory", 20);
+        aggregator.record("count", "files", 1);
+        aggregator.record("count", "files", 2);
+        aggregator.record("summary", "duration", 5);
+        aggregator.record("summary", "duration", 1);
+        aggregator.record("summary", "duration", 3);
+
+        const payload = aggregator.harvest();
+        assert.deepStrictEqual(payload.metrics, [
+            { name: "memory", type: "gauge", value: 20 },
+            { name: "files", type: "count", value: 3 },
+            { name: "duration", type: "summary", value: { count: 3, sum: 9, min: 1, max: 5 } }
+        ]);
+    });
+
+    it("should aggregate by attributes", function() {
+        const aggregator = new MetricAggregator();
+        aggregator.record("count", "files", 1, { type: "png", size: { width: 10 } });
+        aggregator.record("count", "files", 1, { size: { width: 10 }, type: "png" });
+        aggregator.record("count", "files", 1, { type: "jpg" });
+        aggregator.record("count", "files", 1);
+
+        assert.deepStrictEqual(aggregator.harvest().metrics, [
+            { name: "files", type: "count", value: 2, attributes: { type: "png", size_width: 10 } },
+            { name: "files", type: "count", value: 1, attributes: { type: "jpg" } },
+            { name: "files", type: "count", value: 1 }
+        ]);
+    });
+
+    it("should include interval and flattened common attributes", function() {
+        const aggregator = new MetricAggregator();
+        const start = Date.now();
+        aggregator.record("gauge", "memory", 10);
+
+        const payload = aggregator.harvest({ actionName: "action", nested: { value: true } });
+        assert.ok(payload.common.timestamp >= start - 1000 && payload.common.timestamp <= Date.now());
+        assert.ok(payload.common["interval.ms"] >= 1);
+        assert.deepStrictEqual(payload.common.attributes, { actionName: "action", nested_value: 1 });
+    });
+
+    it("should start a new interval after harvest", function() {
+        const aggregator = new MetricAggregator();
+        aggregator.record("count", "files", 1);
+        aggregator.harvest();
+
+        assert.ok(aggregator.isEmpty());
+        assert.strictEqual(aggregator.harvest(), undefined);
+
+        aggregator.record("count", "files", 1);
+        assert.deepStrictEqual(aggregator.harvest().metrics, [{ name: "files", type: "count", value: 1 }]);
+    });
+
+    it("should ignore invalid metrics", function() {
+        const aggregator = new MetricAggregator();
+        assert.strictEqual(aggregator.record("histogram", "files", 1), false);
+        assert.strictEqual(aggregator.record("count", "", 1), false);
+        assert.strictEqual(aggregator.record("count", "files", "1"), false);
+        assert.strictEqual(aggregator.record("gauge", "memory", NaN), false);
+        assert.strictEqual(aggregator.record("gauge", "memory", 1, { fn: () => {} }), false);
+        assert.ok(aggregator.isEmpty());
+    });
+});
@@ -0,0 +1,59 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const ConsoleExporter = require('../../lib/exporter/console');
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe("exporter console", function() {
+
+    it("should write batch as NDJSON to stdout", async function() {
+        const lines = [];
+        const originalLog = console.log;
+        console.log = line => lines.push(line);
+        try {
+            await new ConsoleExporter().export([{ eventType: "test", value: 1 }, { eventType: "test", value: 2 }]);
+        } finally {
+            console.log = originalLog;
+        }
+
+        assert.deepStrictEqual(lines, [
+            '{"eventType":"test","value":1}',
+            '{"eventType":"test","value":2}'
+        ]);
+    });
+
+    it("should append batches as NDJSON to file", async function() {
+        const file = path.join(os.tmpdir(), `newrelic-console-exporter-${process.pid}.ndjson`);
+        try {
+            const exporter = new ConsoleExporter({ file });
+            await exporter.export([{ eventType: "test", value: 1 }]);
+            await exporter.export([{ eventType: "test", value: 2 }]);
+            exporter.shutdown();
+
+            assert.strictEqual(
+                fs.readFileSync(file).toString(),
+                '{"eventType":"test","value":1}\n{"eventType":"test","value":2}\n'
+            );
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+});
@@ -0,0 +1,168 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const EventApiExporter = require('../../lib/exporter/event-api');
+const MetricsTestHelper = require('../../lib/testhelper');
+
+const assert = require('assert');
+const nock = require('nock');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const EXPORTER_OPTIONS = Object.freeze({
+    url: MetricsTestHelper.MOCK_URL,
+    apiKey: MetricsTestHelper.MOCK_API_KEY
+});
+
+describe("exporter event-api", function() {
+
+    afterEach(function() {
+        nock.cleanAll();
+    });
+
+    it("should send batch to NewRelic Insert API", async function() {
+        const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+        await new EventApiExporter(EXPORTER_OPTIONS).export([{ eventType: "test", value: 1 }]);
+
+        assert.deepStrictEqual(receivedMetrics, [{ eventType: "test", value: 1 }]);
+    });
+
+    it("should send with own user agent", async function() {
+        const scope = nock(MetricsTestHelper.MOCK_BASE_URL)
+            .matchHeader("user-agent", EventApiExporter.USER_AGENT)
+            .matchHeader("content-encoding", "gzip")
+            .post(MetricsTestHelper.MOCK_URL_PATH)
+            .reply(200, {});
+
+        await new EventApiExporter(EXPORTER_OPTIONS).export([{ eventType: "test" }]);
+        scope.done();
+    });
+
+    it("should throw retryable error with Retry-After on 429", async function() {
+        nock(MetricsTestHelper.MOCK_BASE_URL)
+            .post(MetricsTestHelper.MOCK_URL_PATH)
+            .reply(429, "", { "Retry-After": "2" });
+
+        await assert.rejects(new EventApiExporter(EXPORTER_OPTIONS).export([{ eventType: "test" }]), error => {
+            assert.strictEqual(error.status, 429);
+            assert.strictEqual(error.retryable, true);
+            assert.strictEqual(error.retryAfter, 2000);
+            return true;
+        });
+    });
+
+    it("should throw retryable error with Retry-After date on 503", async function() {
+        nock(MetricsTestHelper.MOCK_BASE_URL)
+            .post(MetricsTestHelper.MOCK_URL_PATH)
+            .reply(503, "", { "Retry-After": new Date(Date.now() + 60000).toUTCString() });
+
+        await assert.rejects(new EventApiExporter(EXPORTER_OPTIONS).export([{ eventType: "test" }]), error => {
+            assert.strictEqual(error.retryable, true);
+            assert.ok(error.retryAfter > 50000 && error.retryAfter <= 60000);
+            return true;
+        });
+    });
+
+    it("should throw non-retryable error on 400", async function() {
+        nock(MetricsTestHelper.MOCK_BASE_URL)
+            .post(MetricsTestHelper.MOCK_URL_PATH)
+            .reply(400);
+
+        await assert.rejects(new EventApiExporter(EXPORTER_OPTIONS).export([{ eventType: "test" }]), error => {
+            assert.strictEqual(error.status, 400);
+            assert.strictEqual(error.retryable, false);
+            assert.strictEqual(error.retryAfter, undefined);
+            return true;
+        });
+    });
+
+    it("should throw retryable error on connection error", async function() {
+        nock(MetricsTestHelper.MOCK_BASE_URL)
+            .post(MetricsTestHelper.MOCK_URL_PATH)
+            .replyWithError({ message: "socket hang up", code: "ECONNRESET" });
+
+        await assert.rejects(new EventApiExporter(EXPORTER_OPTIONS).export([{ eventType: "test" }]), error => {
+            assert.strictEqual(error.retryable, true);
+            return true;
+        });
+    });
+
+    it("should split batch if gzipped payload is too large", async function() {
+        const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+        // random data hardly compresses, so 2 events of 800kb are over the 1 MB limit
+        const batch = [
+            { eventType: "test", data: crypto.randomBytes(600000).toString("base64") },
+            { eventType: "test", data: crypto.randomBytes(600000).toString("base64") }
+        ];
+        await new EventApiExporter(EXPORTER_OPTIONS).export(batch);
+
+        assert.equal(receivedMetrics.length, 2);
+    });
+
+    it("should only report the unsent half of a split batch as unsent", async function() {
+        const receivedIds = [];
+        // second request fails
+        nock(MetricsTestHelper.MOCK_BASE_URL)
+            .filteringRequestBody(body => zlib.gunzipSync(Buffer.from(body, "hex")).toString())
+            .post(MetricsTestHelper.MOCK_URL_PATH, events => {
+                receivedIds.push(...events.map(event => event.id));
+                return true;
+            })
+            .reply(200, {})
+            .post(MetricsTestHelper.MOCK_URL_PATH)
+            .reply(503);
+
+        const batch = [
+            { eventType: "test", id: 0, data: crypto.randomBytes(600000).toString("base64") },
+            { eventType: "test", id: 1, data: crypto.randomBytes(600000).toString("base64") }
+        ];
+        await assert.rejects(new EventApiExporter(EXPORTER_OPTIONS).export(batch), error => {
+            assert.strictEqual(error.retryable, true);
+            assert.deepStrictEqual(error.unsent, [batch[1]]);
+            return true;
+        });
+        assert.deepStrictEqual(receivedIds, [0]);
+    });
+
+    it("should report all unsent events of a split batch as unsent", async function() {
+        const receivedIds = [];
+        // batch is split in two halves, the first half again in two, of which the second part fails
+        nock(MetricsTestHelper.MOCK_BASE_URL)
+            .filteringRequestBody(body => zlib.gunzipSync(Buffer.from(body, "hex")).toString())
+            .post(MetricsTestHelper.MOCK_URL_PATH, events => {
+                receivedIds.push(...events.map(event => event.id));
+                return true;
+            })
+            .reply(200, {})
+            .post(MetricsTestHelper.MOCK_URL_PATH)
+            .reply(503);
+
+        const batch = [0, 1, 2, 3].map(id => ({
+            eventType: "test",
+            id,
+            data: crypto.randomBytes(525000).toString("base64")
+        }));
+        await assert.rejects(new EventApiExporter(EXPORTER_OPTIONS).export(batch), error => {
+            assert.strictEqual(error.retryable, true);
+            assert.deepStrictEqual(error.unsent.map(event => event.id), [1, 2, 3]);
+            return true;
+        });
+        assert.deepStrictEqual(receivedIds, [0]);
+    });
+});
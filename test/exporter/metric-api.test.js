@@ -0,0 +1,77 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const MetricApiExporter = require('../../lib/exporter/metric-api');
+const MetricsTestHelper = require('../../lib/testhelper');
+
+const assert = require('assert');
+const nock = require('nock');
+const zlib = require('zlib');
+
+const PAYLOAD = Object.freeze({
+    common: { timestamp: 1, "interval.ms": 1000, attributes: { actionName: "action" } },
+    metrics: [{ name: "files", type: "count", value: 1 }]
+});
+
+describe("exporter metric-api", function() {
+
+    afterEach(function() {
+        nock.cleanAll();
+    });
+
+    it("should send batch to NewRelic Metric API", async function() {
+        let received;
+        const scope = nock("https://metric-api.newrelic.com")
+            .matchHeader("x-insert-key", MetricsTestHelper.MOCK_API_KEY)
+            .matchHeader("user-agent", MetricApiExporter.USER_AGENT)
+            .filteringRequestBody(body => zlib.gunzipSync(Buffer.from(body, 'hex')).toString())
+            .post("/metric/v1", body => {
+                received = body;
+                return true;
+            })
+            .reply(202, { requestId: "request-id" });
+
+        await new MetricApiExporter({ apiKey: MetricsTestHelper.MOCK_API_KEY }).export([PAYLOAD]);
+
+        scope.done();
+        assert.deepStrictEqual(received, [PAYLOAD]);
+    });
+
+    it("should send to configured url", async function() {
+        const scope = nock(MetricsTestHelper.MOCK_BASE_URL)
+            .post("/metrics")
+            .reply(202, {});
+
+        await new MetricApiExporter({
+            url: `${MetricsTestHelper.MOCK_BASE_URL}/metrics`,
+            apiKey: MetricsTestHelper.MOCK_API_KEY
+        }).export([PAYLOAD]);
+        scope.done();
+    });
+
+    it("should throw retryable error on 503", async function() {
+        nock("https://metric-api.newrelic.com")
+            .post("/metric/v1")
+            .reply(503);
+
+        await assert.rejects(new MetricApiExporter({ apiKey: MetricsTestHelper.MOCK_API_KEY }).export([PAYLOAD]), error => {
+            assert.strictEqual(error.status, 503);
+            assert.strictEqual(error.retryable, true);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,55 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const TraceApiExporter = require('../../lib/exporter/trace-api');
+const MetricsTestHelper = require('../../lib/testhelper');
+
+const assert = require('assert');
+const nock = require('nock');
+const zlib = require('zlib');
+
+const PAYLOAD = Object.freeze({
+    common: { attributes: { "service.name": "action" } },
+    spans: [{ id: "span-id", "trace.id": "trace-id", timestamp: 1, attributes: { name: "root", "duration.ms": 10 } }]
+});
+
+describe("exporter trace-api", function() {
+
+    afterEach(function() {
+        nock.cleanAll();
+    });
+
+    it("should send batch to NewRelic Trace API in newrelic format", async function() {
+        let received;
+        const scope = nock("https://trace-api.newrelic.com")
+            .matchHeader("x-insert-key", MetricsTestHelper.MOCK_API_KEY)
+            .matchHeader("data-format", "newrelic")
+            .matchHeader("data-format-version", "1")
+            .matchHeader("user-agent", TraceApiExporter.USER_AGENT)
+            .filteringRequestBody(body => zlib.gunzipSync(Buffer.from(body, 'hex')).toString())
+            .post("/trace/v1", body => {
+                received = body;
+                return true;
+            })
+            .reply(202, {});
+
+        await new TraceApiExporter({ apiKey: MetricsTestHelper.MOCK_API_KEY }).export([PAYLOAD]);
+
+        scope.done();
+        assert.deepStrictEqual(received, [PAYLOAD]);
+    });
+});
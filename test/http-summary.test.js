@@ -0,0 +1,113 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const HttpSummary = require('../lib/http-summary');
+
+const assert = require('assert');
+
+function request(metrics) {
+    return {
+        domain: "example.com",
+        method: "GET",
+        responseCode: 200,
+        requestBodySize: 0,
+        responseBodySize: 10,
+        duration: 10,
+        ...metrics
+    };
+}
+
+describe("http-summary.js", function() {
+
+    it("should roll up requests per domain, method and status class", function() {
+        const summary = new HttpSummary();
+        summary.record(request({ duration: 30 }));
+        summary.record(request({ responseCode: 204, duration: 10, responseBodySize: 0 }));
+        summary.record(request({ duration: 20 }));
+        summary.record(request({ method: "PUT", requestBodySize: 100 }));
+        summary.record(request({ domain: "adobe.io", responseCode: 503 }));
+
+        assert.deepStrictEqual(summary.harvest(), [{
+            domain: "example.com",
+            method: "GET",
+            statusClass: "2xx",
+            count: 3,
+            errorCount: 0,
+            requestBodySize: 0,
+            responseBodySize: 20,
+            duration: { min: 10, max: 30, mean: 20, p95: 30 }
+        }, {
+            domain: "example.com",
+            method: "PUT",
+            statusClass: "2xx",
+            count: 1,
+            errorCount: 0,
+            requestBodySize: 100,
+            responseBodySize: 10,
+            duration: { min: 10, max: 10, mean: 10, p95: 10 }
+        }, {
+            domain: "adobe.io",
+            method: "GET",
+            statusClass: "5xx",
+            count: 1,
+            errorCount: 1,
+            requestBodySize: 0,
+            responseBodySize: 10,
+            duration: { min: 10, max: 10, mean: 10, p95: 10 }
+        }]);
+    });
+
+    it("should count connection errors", function() {
+        const summary = new HttpSummary();
+        summary.record({
+            domain: "example.com",
+            method: "GET",
+            duration: 5,
+            error: true,
+            errorCode: "ECONNREFUSED"
+        });
+
+        assert.deepStrictEqual(summary.harvest(), [{
+            domain: "example.com",
+            method: "GET",
+            statusClass: "error",
+            count: 1,
+            errorCount: 1,
+            requestBodySize: 0,
+            responseBodySize: 0,
+            duration: { min: 5, max: 5, mean: 5, p95: 5 }
+        }]);
+    });
+
+    it("should calculate the 95th percentile of durations", function() {
+        const summary = new HttpSummary();
+        for (let duration = 100; duration > 0; duration--) {
+            summary.record(request({ duration }));
+        }
+
+        const [ result ] = summary.harvest();
+        assert.strictEqual(result.count, 100);
+        assert.deepStrictEqual(result.duration, { min: 1, max: 100, mean: 50.5, p95: 95 });
+    });
+
+    it("should reset on harvest", function() {
+        const summary = new HttpSummary();
+        summary.record(request());
+        assert.strictEqual(summary.harvest().length, 1);
+        assert.deepStrictEqual(summary.harvest(), []);
+    });
+});
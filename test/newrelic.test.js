@@ -17,12 +17,19 @@
 
 const NewRelic = require('../lib/newrelic');
 const MetricsTestHelper = require('../lib/testhelper');
+const EventApiExporter = require('../lib/exporter/event-api');
 
 const assert = require("assert");
 const nock = require('nock');
 const sleep = require('util').promisify(setTimeout);
 const fetch = require("node-fetch");
+const axios = require("axios");
 const mockFs = require('mock-fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const EVENT_TYPE = "myevent";
 
@@ -39,6 +46,13 @@ const EXPECTED_METRICS = Object.freeze({
     timestamp: /\d+/
 });
 
+const EXPECTED_ACTIVATION_METRICS = Object.freeze({
+    ...EXPECTED_METRICS,
+    eventType: "activation",
+    duration: /\d+/,
+    successful: 1
+});
+
 describe("newrelic.js", function() {
 
     beforeEach(function() {
@@ -60,6 +74,8 @@ describe("newrelic.js", function() {
         delete process.env.__OW_ACTIVATION_ID;
         delete process.env.__OW_DEADLINE;
         delete process.env.OPENWHISK_NEWRELIC_DISABLE_METRICS;
+        delete process.env.OPENWHISK_NEWRELIC_DRY_RUN;
+        delete process.env.OPENWHISK_NEWRELIC_TRACING;
 
         MetricsTestHelper.afterEachTest();
     });
@@ -169,7 +185,7 @@ describe("newrelic.js", function() {
                 ...EXPECTED_METRICS,
                 eventType: EVENT_TYPE,
                 test: "value"
-            }]);
+            }, EXPECTED_ACTIVATION_METRICS]);
         });
 
         it("sendMetrics with container memory size in default metrics", async function() {
@@ -193,7 +209,7 @@ describe("newrelic.js", function() {
                 containerMemorySize: 9999,
                 eventType: EVENT_TYPE,
                 test: "value"
-            }]);
+            }, EXPECTED_ACTIVATION_METRICS]);
             mockFs.restore();
         });
 
@@ -216,7 +232,7 @@ describe("newrelic.js", function() {
                 containerMemorySize: 9999,
                 eventType: EVENT_TYPE,
                 test: "value"
-            }]);
+            }, EXPECTED_ACTIVATION_METRICS]);
             mockFs.restore();
         });
 
@@ -236,7 +252,7 @@ describe("newrelic.js", function() {
                 eventType: EVENT_TYPE,
                 test: "value",
                 duration: 2000
-            }]);
+            }, EXPECTED_ACTIVATION_METRICS]);
         });
 
         it("sendMetrics - default metrics", async function() {
@@ -255,7 +271,7 @@ describe("newrelic.js", function() {
                 eventType: EVENT_TYPE,
                 test: "value",
                 duration: 2000
-            }]);
+            }, EXPECTED_ACTIVATION_METRICS]);
             assert.equal(Object.keys(defaultMetrics), "duration");
             assert.equal(defaultMetrics.duration, 2000);
         });
@@ -288,6 +304,247 @@ describe("newrelic.js", function() {
             failedMetricsNock.done();
         });
 
+        it("sendMetrics - retry on 503 and 429", async function() {
+            const failedMetricsNock = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(503)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(429);
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+
+            await MetricsTestHelper.metricsDone(200);
+            failedMetricsNock.done();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                test: "value"
+            }]);
+        });
+
+        it("sendMetrics - retry on connection error", async function() {
+            const failedMetricsNock = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .replyWithError({ message: "socket hang up", code: "ECONNRESET" });
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+
+            await MetricsTestHelper.metricsDone(200);
+            failedMetricsNock.done();
+            assert.equal(receivedMetrics.length, 1);
+        });
+
+        it("sendMetrics - retry honors Retry-After header", async function() {
+            const failedMetricsNock = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(429, "", { "Retry-After": "1" });
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+
+            await sleep(500);
+            failedMetricsNock.done();
+            assert.equal(receivedMetrics.length, 0);
+
+            await MetricsTestHelper.metricsDone(800);
+            assert.equal(receivedMetrics.length, 1);
+        });
+
+        it("sendMetrics - no retry on 400", async function() {
+            const failedMetricsNock = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(400);
+            const mustNotHappen = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(200);
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+
+            await sleep(200);
+            failedMetricsNock.done();
+            assert.ok(!mustNotHappen.isDone(), "metrics were retried after a 400 response");
+        });
+
+        it("sendMetrics - give up after max retries", async function() {
+            const failedMetricsNock = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .times(2)
+                .reply(500);
+            const mustNotHappen = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(200);
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true, sendMaxRetries: 1 });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+
+            await sleep(200);
+            failedMetricsNock.done();
+            assert.ok(!mustNotHappen.isDone(), "metrics were retried more than sendMaxRetries");
+        });
+
+        it("sendMetrics - no retry if action would time out", async function() {
+            const failedMetricsNock = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(503, "", { "Retry-After": "10" });
+            const mustNotHappen = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(200);
+
+            process.env.__OW_DEADLINE = Date.now() + 8000;
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActionTimeout: true, disableActivationEvent: true });
+            await metrics.send(EVENT_TYPE, { test: "value" }, true);
+
+            failedMetricsNock.done();
+            assert.ok(!mustNotHappen.isDone(), "metrics were retried after the action deadline");
+        });
+
+        function mockNewRelicBatches() {
+            const batches = [];
+            nock(MetricsTestHelper.MOCK_BASE_URL)
+                .filteringRequestBody(body => zlib.gunzipSync(Buffer.from(body, 'hex')).toString())
+                .post(MetricsTestHelper.MOCK_URL_PATH, batch => {
+                    batches.push(batch);
+                    return true;
+                })
+                .reply(200, {})
+                .persist();
+            return batches;
+        }
+
+        it("sendMetrics - many small events in one batch", async function() {
+            const batches = mockNewRelicBatches();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            for (let i = 0; i < 120; i++) {
+                await metrics.send(EVENT_TYPE, { test: i });
+            }
+            await sleep(100);
+
+            assert.equal(batches.length, 1);
+            assert.equal(batches[0].length, 120);
+        });
+
+        it("sendMetrics - batches limited by maxBatchBytes", async function() {
+            const batches = mockNewRelicBatches();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true, maxBatchBytes: 1000 });
+            for (let i = 0; i < 10; i++) {
+                await metrics.send(EVENT_TYPE, { test: "x".repeat(90) });
+            }
+            await sleep(100);
+
+            assert.ok(batches.length > 1);
+            assert.equal(batches.reduce((count, batch) => count + batch.length, 0), 10);
+            batches.forEach(batch => {
+                assert.ok(Buffer.byteLength(JSON.stringify(batch)) <= 1000);
+            });
+        });
+
+        it("sendMetrics - only retry the unsent half of a split batch", async function() {
+            const receivedIds = [];
+            const recordIds = events => {
+                receivedIds.push(...events.map(event => event.id));
+                return true;
+            };
+            // second request with the second half of the batch fails once
+            nock(MetricsTestHelper.MOCK_BASE_URL)
+                .filteringRequestBody(body => zlib.gunzipSync(Buffer.from(body, 'hex')).toString())
+                .post(MetricsTestHelper.MOCK_URL_PATH, recordIds)
+                .reply(200, {})
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(503)
+                .post(MetricsTestHelper.MOCK_URL_PATH, recordIds)
+                .reply(200, {});
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true, maxBatchBytes: 4000000 });
+            // random data hardly compresses, 2 events are over the 1 MB limit of a gzipped request
+            await metrics.queue.enqueue({ eventType: EVENT_TYPE, id: 0, data: crypto.randomBytes(600000).toString("base64") });
+            await metrics.queue.enqueue({ eventType: EVENT_TYPE, id: 1, data: crypto.randomBytes(600000).toString("base64") });
+            await metrics.flush();
+
+            assert.deepStrictEqual(receivedIds, [0, 1]);
+        });
+
+        it("sendMetrics - event larger than maxBatchBytes is not sent", async function() {
+            const batches = mockNewRelicBatches();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true, maxBatchBytes: 300 });
+            await metrics.send(EVENT_TYPE, { a: "x".repeat(90), b: "x".repeat(90), c: "x".repeat(90) });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+            await sleep(100);
+
+            assert.equal(batches.length, 1);
+            MetricsTestHelper.assertArrayMatches(batches[0], [{
+                eventType: EVENT_TYPE,
+                test: "value"
+            }]);
+        });
+
+        it("sendMetrics - to different accounts for concurrent activations", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+            const otherAccountMetrics = [];
+            nock("http://other-newrelic.com")
+                .filteringRequestBody(body => zlib.gunzipSync(Buffer.from(body, 'hex')).toString())
+                .matchHeader("x-insert-key", "other-api-key")
+                .post("/events", metrics => {
+                    otherAccountMetrics.push(...metrics);
+                    return true;
+                })
+                .reply(200, {})
+                .persist();
+
+            await Promise.all([
+                NewRelic.instrument(async () => {
+                    const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+                    await sleep(10);
+                    await metrics.send(EVENT_TYPE, { account: "default" });
+                })(),
+                NewRelic.instrument(async () => {
+                    const metrics = new NewRelic({
+                        newRelicEventsURL: "http://other-newrelic.com/events",
+                        newRelicApiKey: "other-api-key",
+                        disableActivationEvent: true
+                    });
+                    await sleep(10);
+                    await metrics.send(EVENT_TYPE, { account: "other" });
+                })()
+            ]);
+
+            await MetricsTestHelper.metricsDone();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                eventType: EVENT_TYPE,
+                account: "default"
+            }]);
+            MetricsTestHelper.assertArrayMatches(otherAccountMetrics, [{
+                eventType: EVENT_TYPE,
+                account: "other"
+            }]);
+        });
+
+        it("sendMetrics - send interval per instance", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const slowMetrics = new NewRelic({ ...FAKE_PARAMS, sendIntervalMs: 60000, disableActivationEvent: true });
+            const fastMetrics = new NewRelic({ ...FAKE_PARAMS, sendIntervalMs: 20, disableActivationEvent: true });
+            await slowMetrics.send(EVENT_TYPE, { interval: "slow" });
+            await fastMetrics.send(EVENT_TYPE, { interval: "fast" });
+
+            await MetricsTestHelper.metricsDone();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                eventType: EVENT_TYPE,
+                interval: "fast"
+            }]);
+
+            await slowMetrics.flush();
+            assert.equal(receivedMetrics.length, 2);
+        });
+
         it("sendMetrics - for concurrent activations", async function() {
             const receivedMetrics = MetricsTestHelper.mockNewRelic();
 
@@ -316,9 +573,10 @@ describe("newrelic.js", function() {
 
             await MetricsTestHelper.metricsDone(700);
 
-            assert.equal(receivedMetrics.length, ACTIVATION_COUNT);
-            receivedMetrics.forEach(m => {
-                assert.equal(m.eventType, EVENT_TYPE);
+            assert.equal(receivedMetrics.length, ACTIVATION_COUNT * 2);
+            const events = receivedMetrics.filter(m => m.eventType === EVENT_TYPE);
+            assert.equal(events.length, ACTIVATION_COUNT);
+            events.forEach(m => {
                 MetricsTestHelper.assertObjectMatches(m, {
                     actionName: "action",
                     namespace: "namespace",
@@ -328,7 +586,8 @@ describe("newrelic.js", function() {
             });
             // make sure all activation ids are found, but could be any order
             for (let i = 0; i < ACTIVATION_COUNT; i++) {
-                assert(receivedMetrics.some(m => m.activationId === i), `did not find activation id ${i}`);
+                assert(events.some(m => m.activationId === i), `did not find activation id ${i}`);
+                assert(receivedMetrics.some(m => m.eventType === "activation" && m.activationId === i), `did not find activation event for id ${i}`);
             }
         });
     });
@@ -371,6 +630,10 @@ describe("newrelic.js", function() {
             eventType: EVENT_TYPE,
             added: "metric3",
             anotherAdded: "metric"
+        },{
+            ...EXPECTED_ACTIVATION_METRICS,
+            added: "metric2",
+            anotherAdded: "metric"
         }]);
     });
 
@@ -388,152 +651,1190 @@ describe("newrelic.js", function() {
         assert.equal(m.anotherAdded, "metric");
     });
 
-    describe("timeout metrics", function() {
+    describe("timers", function() {
+
+        it("startTimer() should add duration to default metrics", async function() {
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            const stop = metrics.startTimer("download");
+            await sleep(20);
+            const duration = stop();
+
+            assert.ok(duration >= 19 && duration < 1000, `unexpected duration ${duration}`);
+            assert.strictEqual(metrics.get().downloadDuration, duration);
+            // only first stop records the duration
+            await sleep(10);
+            assert.strictEqual(stop(), duration);
+            assert.strictEqual(metrics.get().downloadDuration, duration);
+            await metrics.activationFinished();
+        });
 
-        it("timeout metrics", async function() {
+        it("startTimer() should send dedicated event", async function() {
             const receivedMetrics = MetricsTestHelper.mockNewRelic();
 
-            process.env.__OW_DEADLINE = Date.now() + 100;
-            new NewRelic( FAKE_PARAMS );
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            const stop = metrics.startTimer("download", { eventType: "timer" });
+            stop(new TypeError("failed"));
+            await metrics.flush();
 
-            await MetricsTestHelper.metricsDone();
             MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
                 ...EXPECTED_METRICS,
-                eventType: "timeout",
-                duration: /\d+/
+                eventType: "timer",
+                timerName: "download",
+                duration: /\d+/,
+                successful: 0,
+                errorName: "TypeError",
+                errorMessage: "failed",
+                downloadDuration: /\d+/,
+                downloadErrorName: "TypeError",
+                downloadErrorMessage: "failed"
             }]);
         });
 
-        it("timeout metrics with callback", async function() {
+        it("measure() should add duration and return result", async function() {
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            const result = await metrics.measure("upload", async () => {
+                await sleep(10);
+                return "result";
+            });
+
+            assert.strictEqual(result, "result");
+            assert.ok(metrics.get().uploadDuration >= 9);
+            assert.strictEqual(metrics.get().uploadErrorName, undefined);
+            await metrics.activationFinished();
+        });
+
+        it("measure() should record and rethrow errors", async function() {
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            await assert.rejects(metrics.measure("upload", async () => {
+                throw new Error("upload failed");
+            }), /upload failed/);
+
+            assert.ok(metrics.get().uploadDuration >= 0);
+            assert.strictEqual(metrics.get().uploadErrorName, "Error");
+            assert.strictEqual(metrics.get().uploadErrorMessage, "upload failed");
+            await metrics.activationFinished();
+        });
+    });
+
+    describe("counters", function() {
+
+        it("increment() and record() should be returned by get()", async function() {
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActionTimeout: true }, { custom: "metric" });
+            metrics.increment("files");
+            metrics.increment("files", 2);
+            metrics.record("fileSize", 10);
+            metrics.record("fileSize", 30);
+            metrics.record("fileSize", 20);
+
+            const m = metrics.get();
+            assert.equal(m.custom, "metric");
+            assert.equal(m.files, 3);
+            assert.deepStrictEqual(m.fileSize, { count: 3, sum: 60, min: 10, max: 30, mean: 20 });
+        });
+
+        it("should ignore invalid values and mixed usage", async function() {
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActionTimeout: true });
+            metrics.increment("files", "1");
+            metrics.record("fileSize", NaN);
+            assert.strictEqual(metrics.get().files, undefined);
+            assert.strictEqual(metrics.get().fileSize, undefined);
+
+            metrics.increment("files");
+            metrics.record("files", 10);
+            metrics.record("fileSize", 10);
+            metrics.increment("fileSize");
+            assert.strictEqual(metrics.get().files, 1);
+            assert.deepStrictEqual(metrics.get().fileSize, { count: 1, sum: 10, min: 10, max: 10, mean: 10 });
+        });
+
+        it("should send counters with activation event", async function() {
             const receivedMetrics = MetricsTestHelper.mockNewRelic();
 
-            process.env.__OW_DEADLINE = Date.now() + 100;
-            new NewRelic({
-                ...FAKE_PARAMS,
-                actionTimeoutMetricsCb: () => {
-                    return { test: 'add_value' };
-                }
-            });
+            const metrics = new NewRelic(FAKE_PARAMS);
+            metrics.increment("files");
+            metrics.record("fileSize", 10);
+            await metrics.activationFinished({ flush: true });
 
-            await MetricsTestHelper.metricsDone(300);
             MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
-                ...EXPECTED_METRICS,
-                eventType: "timeout",
-                test: 'add_value'
+                ...EXPECTED_ACTIVATION_METRICS,
+                files: 1,
+                fileSize_count: 1,
+                fileSize_sum: 10,
+                fileSize_min: 10,
+                fileSize_max: 10,
+                fileSize_mean: 10
             }]);
         });
+    });
 
-        it("timeout metrics with callback, custom eventType", async function() {
+    describe("activationFinished()", function() {
+
+        it("should send activation event with duration and timeout budget", async function() {
             const receivedMetrics = MetricsTestHelper.mockNewRelic();
 
-            process.env.__OW_DEADLINE = Date.now() + 100;
-            new NewRelic({
-                ...FAKE_PARAMS,
-                actionTimeoutMetricsCb: () => {
-                    return {
-                        eventType: "custom",
-                        test: 'add_value'
-                    };
-                }
-            });
+            process.env.__OW_DEADLINE = Date.now() + 10000;
+            const metrics = new NewRelic(FAKE_PARAMS);
+            await sleep(50);
+            await metrics.activationFinished();
 
-            await MetricsTestHelper.metricsDone(300);
-            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
-                ...EXPECTED_METRICS,
-                eventType: "custom",
-                test: 'add_value'
-            }]);
+            await MetricsTestHelper.metricsDone();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [EXPECTED_ACTIVATION_METRICS]);
+            const activation = receivedMetrics[0];
+            assert.ok(activation.duration >= 50);
+            assert.ok(activation.timeoutBudget > 9900 && activation.timeoutBudget <= 10000);
+            assert.ok(activation.timeoutBudgetUsed > 0 && activation.timeoutBudgetUsed < 100);
+            assert.strictEqual(activation.errorName, undefined);
         });
 
-        it("timeout metrics with invalid callback", async function() {
+        it("should send activation event with error", async function() {
             const receivedMetrics = MetricsTestHelper.mockNewRelic();
 
-            process.env.__OW_DEADLINE = Date.now() + 100;
-            new NewRelic( {  ...FAKE_PARAMS, actionTimeoutMetricsCb: { test: 'add_value'}});
+            const metrics = new NewRelic(FAKE_PARAMS);
+            await metrics.activationFinished({ error: new TypeError("bad type") });
 
-            await MetricsTestHelper.metricsDone(300);
+            await MetricsTestHelper.metricsDone();
             MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
-                ...EXPECTED_METRICS,
-                eventType: "timeout",
-                duration: /\d+/
+                ...EXPECTED_ACTIVATION_METRICS,
+                successful: 0,
+                errorName: "TypeError",
+                errorMessage: "bad type"
             }]);
         });
 
-        it("timeout metrics disabled with options", async function() {
-            const mustNotHappen = nock(MetricsTestHelper.MOCK_BASE_URL)
-                .post(MetricsTestHelper.MOCK_URL_PATH)
-                .reply(200);
+        it("should send activation event only once", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
 
-            process.env.__OW_DEADLINE = Date.now() + 100;
-            new NewRelic( {  ...FAKE_PARAMS, disableActionTimeout: true });
-            await sleep(300);
-            assert.ok(!mustNotHappen.isDone(), "timeout metrics was sent even though it should be disabled");
+            const metrics = new NewRelic(FAKE_PARAMS);
+            await metrics.activationFinished();
+            await metrics.activationFinished();
+
+            await MetricsTestHelper.metricsDone();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [EXPECTED_ACTIVATION_METRICS]);
         });
 
-        it("timeout metrics disabled with environment variable", async function() {
+        it("activation event disabled with options", async function() {
             const mustNotHappen = nock(MetricsTestHelper.MOCK_BASE_URL)
                 .post(MetricsTestHelper.MOCK_URL_PATH)
                 .reply(200);
 
-            process.env.DISABLE_ACTION_TIMEOUT_METRIC = true;
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            await metrics.activationFinished();
 
-            process.env.__OW_DEADLINE = Date.now() + 100;
-            new NewRelic(FAKE_PARAMS);
-            await sleep(300); // wait to past action timeout to make sure no timeout metrics are sent
-            assert.ok(!mustNotHappen.isDone(), "timeout metrics was sent even though it should be disabled");
+            await sleep(100);
+            assert.ok(!mustNotHappen.isDone(), "activation event was sent even though it should be disabled");
         });
+    });
 
-        it("timeout metrics with add()", async function() {
-            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+    describe("exporters", function() {
 
-            process.env.__OW_DEADLINE = Date.now() + 100;
-            const metrics = new NewRelic( FAKE_PARAMS );
-            metrics.add({added: "metric"});
+        class TestExporter {
+            constructor() {
+                this.batches = [];
+            }
 
-            await MetricsTestHelper.metricsDone(300);
-            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
-                ...EXPECTED_METRICS,
-                eventType: "timeout",
-                added: "metric",
-                duration: /\d+/
-            }]);
-        });
+            async export(batch) {
+                this.batches.push(batch);
+            }
 
-        it("send all queued metrics on timeout", async function() {
-            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+            shutdown() {
+                this.isShutdown = true;
+            }
+        }
 
-            process.env.__OW_DEADLINE = Date.now() + 100;
-            const metrics = new NewRelic( FAKE_PARAMS );
+        it("should send flattened metrics to custom exporter without NewRelic url and key", async function() {
+            const exporter = new TestExporter();
 
-            await metrics.send(EVENT_TYPE, { test: "value" });
-            await metrics.send(EVENT_TYPE, { test: "value2" });
+            const metrics = new NewRelic({ exporters: [exporter], disableActivationEvent: true });
+            await metrics.send(EVENT_TYPE, { nested: { value: "value" } });
+            await metrics.flush();
 
-            await MetricsTestHelper.metricsDone(300);
-            // order is not required
-            MetricsTestHelper.assertArrayContains(receivedMetrics, [{
-                ...EXPECTED_METRICS,
-                eventType: EVENT_TYPE,
-                test: "value"
-            },{
+            MetricsTestHelper.assertArrayMatches(exporter.batches[0], [{
                 ...EXPECTED_METRICS,
                 eventType: EVENT_TYPE,
-                test: "value2"
-            },{
-                ...EXPECTED_METRICS,
-                eventType: "timeout",
-                duration: /\d+/
+                nested_value: "value"
             }]);
         });
-    });
 
-    describe("instrument", function() {
-        it("instrument() should wrap action main", async function() {
+        it("should send metrics to multiple exporters", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+            const exporter = new TestExporter();
 
-            function main(params) {
-                assert.equal(typeof params, "object");
+            const metrics = new NewRelic({
+                exporters: [
+                    new EventApiExporter({
+                        url: MetricsTestHelper.MOCK_URL,
+                        apiKey: MetricsTestHelper.MOCK_API_KEY
+                    }),
+                    exporter
+                ],
+                disableActivationEvent: true
+            });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+            await metrics.flush();
 
-                // passed in params
-                assert.equal(params.key, "value");
+            await MetricsTestHelper.metricsDone(0);
+            assert.equal(receivedMetrics.length, 1);
+            assert.equal(exporter.batches.length, 1);
+        });
+
+        it("should only retry the failed exporter", async function() {
+            const exporter = new TestExporter();
+            let failures = 0;
+            const failingExporter = {
+                async export() {
+                    if (failures++ === 0) {
+                        const error = new Error("temporary failure");
+                        error.retryable = true;
+                        throw error;
+                    }
+                }
+            };
+
+            const metrics = new NewRelic({ exporters: [exporter, failingExporter], disableActivationEvent: true });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+            await metrics.flush();
+
+            assert.equal(failures, 2);
+            assert.equal(exporter.batches.length, 1);
+        });
+
+        it("should share the queue for the same exporter instances", async function() {
+            const exporter = new TestExporter();
+
+            const metrics1 = new NewRelic({ exporters: [exporter], disableActivationEvent: true });
+            const metrics2 = new NewRelic({ exporters: [exporter], disableActivationEvent: true });
+            assert.strictEqual(metrics1.queue, metrics2.queue);
+            assert.notStrictEqual(metrics1.queue, new NewRelic({ exporters: [new TestExporter()] }).queue);
+        });
+
+        it("should remove idle queues", async function() {
+            const exporter = new TestExporter();
+
+            const metrics = new NewRelic({ exporters: [exporter], disableActivationEvent: true, disableActionTimeout: true });
+            const queue = metrics.queue;
+            // send interval is 10 ms in tests
+            await sleep(150);
+            assert.strictEqual(queue.sendTimer, undefined);
+            assert.notStrictEqual(new NewRelic({ exporters: [exporter], disableActionTimeout: true }).queue, queue);
+
+            // idle queue still sends events of the NewRelic instances using it
+            await metrics.send(EVENT_TYPE, { test: "value" });
+            await sleep(50);
+            assert.equal(exporter.batches.length, 1);
+            assert.ok(queue.sendTimer);
+        });
+
+        it("should shut down exporters when stopped", async function() {
+            const exporter = new TestExporter();
+
+            new NewRelic({ exporters: [exporter], disableActionTimeout: true });
+            MetricsTestHelper.afterEachTest();
+            assert.ok(exporter.isShutdown);
+        });
+    });
+
+    describe("dimensional metrics", function() {
+
+        const METRICS_URL_PATH = "/metrics";
+
+        function mockMetricApi() {
+            const payloads = [];
+            nock(MetricsTestHelper.MOCK_BASE_URL)
+                .filteringRequestBody(body => zlib.gunzipSync(Buffer.from(body, 'hex')).toString())
+                .matchHeader("x-insert-key", MetricsTestHelper.MOCK_API_KEY)
+                .post(METRICS_URL_PATH, body => {
+                    payloads.push(...body);
+                    return true;
+                })
+                .reply(202, { requestId: "request-id" })
+                .persist();
+            return payloads;
+        }
+
+        const OPTIONS = Object.freeze({
+            ...FAKE_PARAMS,
+            newRelicMetricsURL: `${MetricsTestHelper.MOCK_BASE_URL}${METRICS_URL_PATH}`,
+            disableActivationEvent: true
+        });
+
+        it("should send aggregated gauge, count and summary metrics with common attributes", async function() {
+            const payloads = mockMetricApi();
+
+            const metrics = new NewRelic(OPTIONS, { custom: "metric" });
+            metrics.gauge("memory", 100);
+            metrics.count("files");
+            metrics.count("files", 2);
+            metrics.count("files", 1, { type: "png" });
+            metrics.summary("duration", 10);
+            metrics.summary("duration", 20);
+            await metrics.flush();
+
+            assert.equal(payloads.length, 1);
+            MetricsTestHelper.assertObjectMatches(payloads[0].common.attributes, {
+                actionName: "action",
+                namespace: "namespace",
+                activationId: "activationId",
+                package: "package",
+                custom: "metric"
+            });
+            assert.ok(payloads[0].common.timestamp > 0);
+            assert.ok(payloads[0].common["interval.ms"] > 0);
+            assert.deepStrictEqual(payloads[0].metrics, [
+                { name: "memory", type: "gauge", value: 100 },
+                { name: "files", type: "count", value: 3 },
+                { name: "files", type: "count", value: 1, attributes: { type: "png" } },
+                { name: "duration", type: "summary", value: { count: 2, sum: 30, min: 10, max: 20 } }
+            ]);
+        });
+
+        it("should send metrics every send interval", async function() {
+            const payloads = mockMetricApi();
+
+            const metrics = new NewRelic(OPTIONS);
+            metrics.count("files");
+            await sleep(50);
+            metrics.count("files");
+            await sleep(50);
+
+            assert.equal(payloads.length, 2);
+            await metrics.activationFinished();
+        });
+
+        it("should send remaining metrics when activation finishes", async function() {
+            const payloads = mockMetricApi();
+
+            const metrics = new NewRelic(OPTIONS);
+            metrics.count("files");
+            await metrics.activationFinished({ flush: true });
+
+            assert.equal(payloads.length, 1);
+            assert.deepStrictEqual(payloads[0].metrics, [{ name: "files", type: "count", value: 1 }]);
+        });
+
+        it("should stop sending metrics every send interval on action timeout", async function() {
+            const payloads = mockMetricApi();
+
+            // timeout metrics are sent 5 seconds before the deadline
+            process.env.__OW_DEADLINE = Date.now() + 5100;
+            const metrics = new NewRelic(OPTIONS);
+            metrics.count("files");
+            await sleep(300);
+            assert.equal(payloads.length, 1);
+
+            metrics.count("files");
+            await sleep(50);
+            assert.equal(payloads.length, 1);
+        });
+
+        it("should not send metrics without NewRelic api key", async function() {
+            const metrics = new NewRelic({ exporters: [{ async export() {} }] });
+            assert.strictEqual(metrics.metricQueue, undefined);
+            metrics.count("files");
+            metrics.count("files");
+            assert.ok(await metrics.flush());
+        });
+
+        it("should not send metrics if disabled", async function() {
+            const metrics = new NewRelic();
+            metrics.gauge("memory", 100);
+            assert.ok(await metrics.flush());
+        });
+    });
+
+    describe("tracing", function() {
+
+        const TRACES_URL_PATH = "/traces";
+
+        function mockTraceApi() {
+            const spans = [];
+            const payloads = [];
+            nock(MetricsTestHelper.MOCK_BASE_URL)
+                .filteringRequestBody(body => zlib.gunzipSync(Buffer.from(body, 'hex')).toString())
+                .matchHeader("data-format", "newrelic")
+                .post(TRACES_URL_PATH, body => {
+                    payloads.push(...body);
+                    body.forEach(payload => spans.push(...payload.spans));
+                    return true;
+                })
+                .reply(202, {})
+                .persist();
+            return { spans, payloads };
+        }
+
+        const OPTIONS = Object.freeze({
+            ...FAKE_PARAMS,
+            tracing: true,
+            newRelicTracesURL: `${MetricsTestHelper.MOCK_BASE_URL}${TRACES_URL_PATH}`,
+            disableActivationEvent: true
+        });
+
+        function findSpan(spans, name) {
+            return spans.find(span => span.attributes.name === name);
+        }
+
+        it("should send root span for activation", async function() {
+            const { spans, payloads } = mockTraceApi();
+
+            const metrics = new NewRelic(OPTIONS);
+            await metrics.activationFinished({ flush: true });
+
+            assert.equal(spans.length, 1);
+            MetricsTestHelper.assertObjectMatches(spans[0], {
+                id: /^[0-9a-f]{16}$/,
+                "trace.id": metrics.traceId,
+                timestamp: /\d+/
+            });
+            MetricsTestHelper.assertObjectMatches(spans[0].attributes, {
+                name: "/namespace/package/action",
+                "span.kind": "server",
+                "duration.ms": /\d+/
+            });
+            assert.strictEqual(spans[0].attributes["parent.id"], undefined);
+            MetricsTestHelper.assertObjectMatches(payloads[0].common.attributes, {
+                "service.name": "/namespace/package/action",
+                actionName: "action",
+                activationId: "activationId"
+            });
+        });
+
+        it("should send nested custom spans and http spans", async function() {
+            nock(`http://example.com`).get("/test").reply(200, {ok: true});
+            const { spans } = mockTraceApi();
+
+            const metrics = new NewRelic(OPTIONS);
+            const result = await metrics.span("process", async (span) => {
+                span.add({ files: 2 });
+                return metrics.span("download", async () => {
+                    const response = await fetch("http://example.com/test");
+                    return response.json();
+                });
+            }, { custom: "attribute" });
+            await metrics.activationFinished({ flush: true });
+
+            assert.deepStrictEqual(result, {ok: true});
+            assert.equal(spans.length, 4);
+            const root = findSpan(spans, "/namespace/package/action");
+            const processSpan = findSpan(spans, "process");
+            const download = findSpan(spans, "download");
+            const http = findSpan(spans, "GET example.com");
+
+            assert.strictEqual(processSpan.attributes["parent.id"], root.id);
+            assert.strictEqual(processSpan.attributes.custom, "attribute");
+            assert.strictEqual(processSpan.attributes.files, 2);
+            assert.strictEqual(download.attributes["parent.id"], processSpan.id);
+            assert.strictEqual(http.attributes["parent.id"], download.id);
+            MetricsTestHelper.assertObjectMatches(http.attributes, {
+                "span.kind": "client",
+                "http.method": "GET",
+                "http.url": "http://example.com/test",
+                "http.statusCode": 200
+            });
+            spans.forEach(span => assert.strictEqual(span["trace.id"], metrics.traceId));
+        });
+
+        it("should record errors on spans", async function() {
+            const { spans } = mockTraceApi();
+
+            const metrics = new NewRelic(OPTIONS);
+            const error = new Error("failed");
+            await assert.rejects(metrics.span("process", async () => {
+                throw error;
+            }), error);
+            await metrics.activationFinished({ error, flush: true });
+
+            spans.forEach(span => MetricsTestHelper.assertObjectMatches(span.attributes, {
+                error: true,
+                "error.message": "failed"
+            }));
+        });
+
+        it("should be enabled using environment variable", async function() {
+            process.env.OPENWHISK_NEWRELIC_TRACING = "true";
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActionTimeout: true });
+            assert.ok(metrics.tracing);
+            assert.ok(metrics.rootSpan);
+        });
+
+        it("should just run function if tracing is disabled", async function() {
+            const metrics = new NewRelic({ exporters: [{ async export() {} }], tracing: true, disableActionTimeout: true });
+            assert.ok(!metrics.tracing);
+            assert.strictEqual(await metrics.span("process", async () => "result"), "result");
+        });
+
+        it("should pass span to function if tracing is disabled", async function() {
+            const metrics = new NewRelic({ exporters: [{ async export() {} }], disableActionTimeout: true });
+            assert.ok(!metrics.tracing);
+
+            const result = await metrics.span("process", async (span) => {
+                span.add({ files: 2 });
+                return "result";
+            });
+            assert.strictEqual(result, "result");
+        });
+    });
+
+    describe("incoming trace context", function() {
+
+        const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736";
+        const PARENT_ID = "00f067aa0ba902b7";
+
+        const PARAMS = Object.freeze({
+            ...FAKE_PARAMS,
+            __ow_headers: {
+                traceparent: `00-${TRACE_ID}-${PARENT_ID}-01`,
+                tracestate: "vendor=value",
+                "x-request-id": "caller-request-id"
+            }
+        });
+
+        it("should add parentSpanId and callerRequestId to all events", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic(PARAMS);
+            assert.strictEqual(metrics.traceId, TRACE_ID);
+            await metrics.send(EVENT_TYPE);
+            await metrics.activationFinished({ flush: true });
+
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                parentSpanId: PARENT_ID,
+                callerRequestId: "caller-request-id"
+            }, {
+                ...EXPECTED_ACTIVATION_METRICS,
+                parentSpanId: PARENT_ID,
+                callerRequestId: "caller-request-id"
+            }]);
+        });
+
+        it("should continue trace in outgoing http requests", async function() {
+            const headers = {};
+            nock(`http://example.com`).get("/test").reply(function() {
+                Object.assign(headers, this.req.headers);
+                return [200, {ok: true}];
+            });
+
+            const metrics = new NewRelic({ ...PARAMS, injectTraceContext: true, disableActivationEvent: true });
+            await (await fetch("http://example.com/test")).json();
+            await metrics.activationFinished();
+
+            assert.ok(headers.traceparent.startsWith(`00-${TRACE_ID}-`));
+            assert.ok(!headers.traceparent.includes(PARENT_ID));
+            assert.strictEqual(headers.tracestate, "vendor=value");
+        });
+
+        it("should use caller span as parent of root span", async function() {
+            const metrics = new NewRelic({ ...PARAMS, tracing: true, disableActionTimeout: true });
+            assert.strictEqual(metrics.rootSpan.traceId, TRACE_ID);
+            assert.strictEqual(metrics.rootSpan.parentId, PARENT_ID);
+        });
+
+        it("should start new trace without valid traceparent", async function() {
+            const metrics = new NewRelic({
+                ...FAKE_PARAMS,
+                disableActionTimeout: true,
+                __ow_headers: { traceparent: "invalid" }
+            });
+            assert.ok(/^[0-9a-f]{32}$/.test(metrics.traceId));
+            assert.strictEqual(metrics.get().parentSpanId, undefined);
+            assert.strictEqual(metrics.get().callerRequestId, undefined);
+        });
+    });
+
+    describe("beforeSend", function() {
+
+        it("should change events before flattening", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({
+                ...FAKE_PARAMS,
+                disableActivationEvent: true,
+                beforeSend: (event) => {
+                    assert.deepStrictEqual(event.nested, { value: "value" });
+                    event.tenantId = "tenant";
+                    event.renamed = event.test;
+                    delete event.test;
+                }
+            });
+            await metrics.send(EVENT_TYPE, { test: "value", nested: { value: "value" } });
+            await metrics.flush();
+
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                tenantId: "tenant",
+                renamed: "value",
+                nested_value: "value"
+            }]);
+            assert.strictEqual(receivedMetrics[0].test, undefined);
+        });
+
+        it("should send returned event", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({
+                ...FAKE_PARAMS,
+                disableActivationEvent: true,
+                beforeSend: async (event) => ({ eventType: event.eventType, replaced: true })
+            });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+            await metrics.flush();
+
+            assert.deepStrictEqual(receivedMetrics, [{ eventType: EVENT_TYPE, replaced: 1 }]);
+        });
+
+        it("should drop events if null is returned", async function() {
+            nock(`http://example.com`).get("/health").reply(200, {ok: true});
+            nock(`http://example.com`).get("/test").reply(200, {ok: true});
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({
+                ...FAKE_PARAMS,
+                beforeSend: (event) => {
+                    if (event.eventType === "http" && event.path === "/health") {
+                        return null;
+                    }
+                    return event;
+                }
+            });
+            await (await fetch("http://example.com/health")).json();
+            await (await fetch("http://example.com/test")).json();
+            await metrics.activationFinished({ flush: true });
+
+            assert.equal(receivedMetrics.length, 2);
+            MetricsTestHelper.assertArrayContains(receivedMetrics, [{
+                eventType: "http",
+                path: "/test"
+            }, EXPECTED_ACTIVATION_METRICS]);
+        });
+
+        it("should send unchanged event if beforeSend fails", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({
+                ...FAKE_PARAMS,
+                disableActivationEvent: true,
+                beforeSend: () => {
+                    throw new Error("hook failed");
+                }
+            });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+            await metrics.flush();
+
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                test: "value"
+            }]);
+        });
+
+        it("should ignore invalid beforeSend", async function() {
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActionTimeout: true, beforeSend: "invalid" });
+            assert.strictEqual(metrics.beforeSend, undefined);
+        });
+    });
+
+    describe("redaction", function() {
+
+        it("should redact sensitive attributes and count them", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic(FAKE_PARAMS);
+            metrics.add({ headers: { authorization: "Bearer abc" } });
+            await metrics.send(EVENT_TYPE, { user: "john.doe@example.com", test: "value" });
+            await metrics.activationFinished({ flush: true });
+
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                headers_authorization: "[REDACTED]",
+                user: "[REDACTED]",
+                test: "value"
+            }, {
+                ...EXPECTED_ACTIVATION_METRICS,
+                headers_authorization: "[REDACTED]",
+                redactedAttributes: 2
+            }]);
+        });
+
+        it("should use custom redaction options", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({
+                ...FAKE_PARAMS,
+                disableActivationEvent: true,
+                redact: { keyPatterns: [/tenant/], placeholder: "***" }
+            });
+            await metrics.send(EVENT_TYPE, { tenant: "customer", password: "pass" });
+            await metrics.flush();
+
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                eventType: EVENT_TYPE,
+                tenant: "***",
+                password: "pass"
+            }]);
+        });
+
+        it("should not redact if disabled", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true, redact: false });
+            await metrics.send(EVENT_TYPE, { password: "pass" });
+            await metrics.flush();
+
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                eventType: EVENT_TYPE,
+                password: "pass"
+            }]);
+        });
+
+        it("should redact dimensional metric attributes", async function() {
+            const payloads = [];
+            nock(MetricsTestHelper.MOCK_BASE_URL)
+                .filteringRequestBody(body => zlib.gunzipSync(Buffer.from(body, 'hex')).toString())
+                .post("/metrics", body => {
+                    payloads.push(...body);
+                    return true;
+                })
+                .reply(202, {});
+
+            const metrics = new NewRelic({
+                ...FAKE_PARAMS,
+                newRelicMetricsURL: `${MetricsTestHelper.MOCK_BASE_URL}/metrics`,
+                disableActivationEvent: true
+            }, { apiToken: "token" });
+            metrics.count("logins", 1, { user: "john.doe@example.com" });
+            await metrics.flush();
+
+            assert.strictEqual(payloads[0].common.attributes.apiToken, "[REDACTED]");
+            assert.deepStrictEqual(payloads[0].metrics[0].attributes, { user: "[REDACTED]" });
+        });
+    });
+
+    describe("dry run", function() {
+
+        let file;
+
+        beforeEach(function() {
+            file = path.join(os.tmpdir(), `newrelic-dry-run-${process.pid}-${Date.now()}.ndjson`);
+        });
+
+        afterEach(function() {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        });
+
+        function readEvents() {
+            return fs.readFileSync(file).toString().trim().split("\n").map(line => JSON.parse(line));
+        }
+
+        it("should write flattened metrics to file without NewRelic url and key", async function() {
+            const metrics = new NewRelic({ dryRun: file, disableActivationEvent: true });
+            await metrics.send(EVENT_TYPE, { nested: { value: "value" } });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+            await metrics.flush();
+
+            MetricsTestHelper.assertArrayMatches(readEvents(), [{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                nested_value: "value"
+            }, {
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                test: "value"
+            }]);
+        });
+
+        it("should not send metrics to NewRelic", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, dryRun: file });
+            await metrics.send(EVENT_TYPE);
+            await metrics.activationFinished({ flush: true });
+
+            assert.equal(receivedMetrics.length, 0);
+            MetricsTestHelper.assertArrayMatches(readEvents(), [{
+                eventType: EVENT_TYPE
+            }, {
+                eventType: "activation"
+            }]);
+        });
+
+        it("should be enabled using environment variable", async function() {
+            process.env.OPENWHISK_NEWRELIC_DRY_RUN = file;
+
+            const metrics = new NewRelic(undefined, { custom: "metric" });
+            await metrics.send(EVENT_TYPE);
+            await metrics.flush();
+
+            MetricsTestHelper.assertArrayMatches(readEvents(), [{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                custom: "metric"
+            }]);
+        });
+
+        it("should write to stdout", async function() {
+            const metrics = new NewRelic({ dryRun: true, disableActivationEvent: true });
+            assert.ok(metrics.canSendMetrics);
+            assert.strictEqual(metrics.queue, new NewRelic({ dryRun: "true" }).queue);
+            assert.notStrictEqual(metrics.queue, new NewRelic({ dryRun: file }).queue);
+        });
+
+        it("should only write metric events to stdout", async function() {
+            const log = console.log;
+            const lines = [];
+            console.log = (...args) => lines.push(args.join(" "));
+            try {
+                const metrics = new NewRelic({ dryRun: true, disableActivationEvent: true });
+                await metrics.send(EVENT_TYPE, { test: "value" });
+                await metrics.flush();
+            } finally {
+                console.log = log;
+            }
+
+            MetricsTestHelper.assertArrayMatches(lines.map(line => JSON.parse(line)), [{
+                eventType: EVENT_TYPE,
+                test: "value"
+            }]);
+        });
+
+        it("should not be enabled with false", async function() {
+            process.env.OPENWHISK_NEWRELIC_DRY_RUN = "false";
+
+            const metrics = new NewRelic();
+            assert.ok(!metrics.canSendMetrics);
+        });
+    });
+
+    describe("flush()", function() {
+
+        it("should send all queued metrics", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, sendIntervalMs: 60000 });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+            await metrics.send(EVENT_TYPE, { test: "value2" });
+            assert.strictEqual(await metrics.flush(), true);
+
+            // no waiting for the send interval
+            await MetricsTestHelper.metricsDone(0);
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                test: "value"
+            },{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                test: "value2"
+            }]);
+        });
+
+        it("should send all batches and wait for retries", async function() {
+            const failedMetricsNock = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(503);
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, sendIntervalMs: 60000, maxBatchBytes: 1000 });
+            for (let i = 0; i < 10; i++) {
+                await metrics.send(EVENT_TYPE, { test: "x".repeat(90) });
+            }
+            assert.strictEqual(await metrics.flush(), true);
+
+            await MetricsTestHelper.metricsDone(0);
+            failedMetricsNock.done();
+            assert.equal(receivedMetrics.length, 10);
+        });
+
+        it("should return false on flush timeout", async function() {
+            nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .delay(1000)
+                .reply(200, {});
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, sendIntervalMs: 60000, flushTimeoutMs: 50 });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+
+            const start = Date.now();
+            assert.strictEqual(await metrics.flush(), false);
+            assert.ok(Date.now() - start < 500);
+        });
+
+        it("should do nothing if metrics are disabled", async function() {
+            const metrics = new NewRelic();
+            assert.strictEqual(await metrics.flush(), true);
+        });
+
+        it("activationFinished() with flush", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, sendIntervalMs: 60000 });
+            await metrics.send(EVENT_TYPE, { test: "value" });
+            await metrics.activationFinished({ flush: true });
+
+            await MetricsTestHelper.metricsDone(0);
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                test: "value"
+            }, EXPECTED_ACTIVATION_METRICS]);
+        });
+    });
+
+    describe("handleError()", function() {
+
+        it("should send error event", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            const error = new Error("connect ECONNREFUSED 127.0.0.1:443");
+            error.code = "ECONNREFUSED";
+            error.errno = -111;
+            error.syscall = "connect";
+            await metrics.handleError(error, { custom: "value" });
+            await metrics.activationFinished();
+
+            await MetricsTestHelper.metricsDone();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "error",
+                errorName: "Error",
+                errorMessage: "connect ECONNREFUSED 127.0.0.1:443",
+                errorCode: "ECONNREFUSED",
+                errorCategory: "dependency",
+                errorDetails_errno: -111,
+                errorDetails_syscall: "connect",
+                custom: "value"
+            }]);
+        });
+
+        it("should send error event with status code and without nested objects", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            const error = new Error("Request failed with status code 404");
+            error.response = { status: 404, data: { large: "body" } };
+            await metrics.handleError(error);
+
+            await MetricsTestHelper.metricsDone();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "error",
+                errorMessage: "Request failed with status code 404",
+                errorCategory: "user",
+                errorStatusCode: 404
+            }]);
+            assert.ok(!Object.keys(receivedMetrics[0]).some(key => key.includes("response")));
+        });
+
+        it("should send error event for http client errors", async function() {
+            nock("http://example.com").get("/test").reply(503, "unavailable");
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            // axios errors have functions such as toJSON() as own properties
+            const error = await axios.get("http://example.com/test").catch(e => e);
+            assert.strictEqual(typeof error.toJSON, "function");
+            await metrics.handleError(error);
+            await metrics.flush();
+
+            const errorEvents = receivedMetrics.filter(event => event.eventType === "error");
+            MetricsTestHelper.assertArrayMatches(errorEvents, [{
+                ...EXPECTED_METRICS,
+                eventType: "error",
+                errorMessage: "Request failed with status code 503",
+                errorCategory: "dependency",
+                errorStatusCode: 503,
+                errorDetails_isAxiosError: 1
+            }]);
+            assert.ok(!Object.keys(errorEvents[0]).some(key => key.includes("toJSON")));
+        });
+
+        it("should send error event for non-Error values", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            await metrics.handleError("something failed");
+
+            await MetricsTestHelper.metricsDone();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "error",
+                errorName: "Error",
+                errorMessage: "something failed",
+                errorCategory: "unknown"
+            }]);
+        });
+    });
+
+    describe("timeout metrics", function() {
+
+        it("timeout metrics", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            process.env.__OW_DEADLINE = Date.now() + 100;
+            new NewRelic( FAKE_PARAMS );
+
+            await MetricsTestHelper.metricsDone();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "timeout",
+                duration: /\d+/
+            }]);
+        });
+
+        it("timeout metrics with counters", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            process.env.__OW_DEADLINE = Date.now() + 100;
+            const metrics = new NewRelic( FAKE_PARAMS );
+            metrics.increment("files", 5);
+            metrics.record("fileSize", 100);
+
+            await MetricsTestHelper.metricsDone();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "timeout",
+                duration: /\d+/,
+                files: 5,
+                fileSize_count: 1,
+                fileSize_mean: 100
+            }]);
+        });
+
+        it("timeout metrics with callback", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            process.env.__OW_DEADLINE = Date.now() + 100;
+            new NewRelic({
+                ...FAKE_PARAMS,
+                actionTimeoutMetricsCb: () => {
+                    return { test: 'add_value' };
+                }
+            });
+
+            await MetricsTestHelper.metricsDone(300);
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "timeout",
+                test: 'add_value'
+            }]);
+        });
+
+        it("timeout metrics with callback, custom eventType", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            process.env.__OW_DEADLINE = Date.now() + 100;
+            new NewRelic({
+                ...FAKE_PARAMS,
+                actionTimeoutMetricsCb: () => {
+                    return {
+                        eventType: "custom",
+                        test: 'add_value'
+                    };
+                }
+            });
+
+            await MetricsTestHelper.metricsDone(300);
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "custom",
+                test: 'add_value'
+            }]);
+        });
+
+        it("timeout metrics with invalid callback", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            process.env.__OW_DEADLINE = Date.now() + 100;
+            new NewRelic( {  ...FAKE_PARAMS, actionTimeoutMetricsCb: { test: 'add_value'}});
+
+            await MetricsTestHelper.metricsDone(300);
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "timeout",
+                duration: /\d+/
+            }]);
+        });
+
+        it("timeout metrics disabled with options", async function() {
+            const mustNotHappen = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(200);
+
+            process.env.__OW_DEADLINE = Date.now() + 100;
+            new NewRelic( {  ...FAKE_PARAMS, disableActionTimeout: true });
+            await sleep(300);
+            assert.ok(!mustNotHappen.isDone(), "timeout metrics was sent even though it should be disabled");
+        });
+
+        it("timeout metrics disabled with environment variable", async function() {
+            const mustNotHappen = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH)
+                .reply(200);
+
+            process.env.DISABLE_ACTION_TIMEOUT_METRIC = true;
+
+            process.env.__OW_DEADLINE = Date.now() + 100;
+            new NewRelic(FAKE_PARAMS);
+            await sleep(300); // wait to past action timeout to make sure no timeout metrics are sent
+            assert.ok(!mustNotHappen.isDone(), "timeout metrics was sent even though it should be disabled");
+        });
+
+        it("timeout metrics with add()", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            process.env.__OW_DEADLINE = Date.now() + 100;
+            const metrics = new NewRelic( FAKE_PARAMS );
+            metrics.add({added: "metric"});
+
+            await MetricsTestHelper.metricsDone(300);
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "timeout",
+                added: "metric",
+                duration: /\d+/
+            }]);
+        });
+
+        it("send all queued metrics on timeout", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            process.env.__OW_DEADLINE = Date.now() + 100;
+            const metrics = new NewRelic( FAKE_PARAMS );
+
+            await metrics.send(EVENT_TYPE, { test: "value" });
+            await metrics.send(EVENT_TYPE, { test: "value2" });
+
+            await MetricsTestHelper.metricsDone(300);
+            // order is not required
+            MetricsTestHelper.assertArrayContains(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                test: "value"
+            },{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                test: "value2"
+            },{
+                ...EXPECTED_METRICS,
+                eventType: "timeout",
+                duration: /\d+/
+            }]);
+        });
+    });
+
+    describe("instrument", function() {
+        it("instrument() should wrap action main", async function() {
+
+            function main(params) {
+                assert.equal(typeof params, "object");
+
+                // passed in params
+                assert.equal(params.key, "value");
 
                 return { ok: true};
             }
@@ -547,6 +1848,93 @@ describe("newrelic.js", function() {
         });
     });
 
+    describe("wrapAction", function() {
+        it("wrapAction() should wrap action main and send activation metrics", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            async function main(params, metrics) {
+                assert.equal(params.key, "value");
+                assert.ok(metrics instanceof NewRelic);
+                await metrics.send(EVENT_TYPE, { test: "value" });
+                return { ok: true };
+            }
+
+            const result = await NewRelic.wrapAction(main, { sendIntervalMs: 60000 })({
+                ...FAKE_PARAMS,
+                key: "value"
+            });
+            assert.equal(result.ok, true);
+
+            // metrics are flushed before the action returns
+            await MetricsTestHelper.metricsDone(0);
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: EVENT_TYPE,
+                test: "value"
+            },{
+                ...EXPECTED_METRICS,
+                eventType: "activation",
+                duration: /\d+/,
+                successful: 1
+            }]);
+        });
+
+        it("wrapAction() should send error metrics and rethrow errors", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const main = NewRelic.wrapAction(async () => {
+                throw new Error("action failed");
+            });
+
+            await assert.rejects(main(FAKE_PARAMS), /action failed/);
+
+            await MetricsTestHelper.metricsDone();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "error",
+                errorName: "Error",
+                errorMessage: "action failed",
+                errorCategory: "unknown"
+            },{
+                ...EXPECTED_METRICS,
+                eventType: "activation",
+                successful: 0,
+                errorName: "Error",
+                errorMessage: "action failed"
+            }]);
+        });
+
+        it("wrapAction() should clear action timeout", async function() {
+            const mustNotHappen = nock(MetricsTestHelper.MOCK_BASE_URL)
+                .post(MetricsTestHelper.MOCK_URL_PATH, body => body.some(e => e.eventType === "timeout"))
+                .reply(200);
+            MetricsTestHelper.mockNewRelic();
+
+            process.env.__OW_DEADLINE = Date.now() + 100;
+            await NewRelic.wrapAction(() => ({ ok: true }))(FAKE_PARAMS);
+
+            await sleep(300);
+            assert.ok(!mustNotHappen.isDone(), "timeout metrics was sent even though action finished");
+        });
+
+        it("wrapAction() should pass options to NewRelic", async function() {
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const main = NewRelic.wrapAction(() => ({ ok: true }), {
+                ...FAKE_PARAMS,
+                defaultMetrics: { added: "metric" }
+            });
+            await main({});
+
+            await MetricsTestHelper.metricsDone();
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "activation",
+                added: "metric"
+            }]);
+        });
+    });
+
     describe("http metrics", function() {
         it("should send metric for http requests", async function() {
             nock(`http://example.com`).get("/test").reply(200, {ok: true});
@@ -557,14 +1945,410 @@ describe("newrelic.js", function() {
             metrics.activationFinished();
 
             await MetricsTestHelper.metricsDone();
-            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+            // order is not required, the http event is sent once the response is closed
+            assert.equal(receivedMetrics.length, 2);
+            MetricsTestHelper.assertArrayContains(receivedMetrics, [{
                 ...EXPECTED_METRICS,
                 eventType: "http",
                 url: "http://example.com/test",
                 responseCode: 200
+            }, EXPECTED_ACTIVATION_METRICS]);
+        });
+
+        it("should inject trace context into http requests", async function() {
+            let traceparent;
+            nock(`http://example.com`).get("/test").reply(function() {
+                traceparent = this.req.headers.traceparent;
+                return [200, {ok: true}];
+            });
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, injectTraceContext: true, disableActivationEvent: true });
+            const response = await fetch("http://example.com/test");
+            await response.json();
+            await metrics.flush();
+
+            assert.ok(/^[0-9a-f]{32}$/.test(metrics.traceId));
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                ...EXPECTED_METRICS,
+                eventType: "http",
+                traceId: metrics.traceId,
+                spanId: /^[0-9a-f]{16}$/
+            }]);
+            assert.strictEqual(traceparent, `00-${metrics.traceId}-${receivedMetrics[0].spanId}-01`);
+        });
+
+        it("should not inject trace context into http requests by default", async function() {
+            let traceparent;
+            nock(`http://example.com`).get("/test").reply(function() {
+                traceparent = this.req.headers.traceparent;
+                return [200, {ok: true}];
+            });
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            const response = await fetch("http://example.com/test");
+            await response.json();
+            await metrics.flush();
+
+            assert.strictEqual(traceparent, undefined);
+            assert.strictEqual(receivedMetrics[0].traceId, undefined);
+        });
+
+        it("should mask signed url parameters in http metrics", async function() {
+            nock(`http://example.com`).get("/blob").query(true).reply(200, {ok: true});
+            const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+            const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+            const response = await fetch("http://example.com/blob?sv=2019-12-12&sig=secret");
+            await response.json();
+            await metrics.flush();
+
+            MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                eventType: "http",
+                path: "/blob?sv=2019-12-12&sig=REDACTED",
+                url: "http://example.com/blob?sv=2019-12-12&sig=REDACTED"
             }]);
         });
 
+        it("should sanitize http urls using environment variable", async function() {
+            process.env.OPENWHISK_NEWRELIC_SANITIZE_URL = "stripQuery";
+            NewRelic.stopInstrument();
+            NewRelic.instrument(() => {});
+            try {
+                nock(`http://example.com`).get("/blob").query(true).reply(200, {ok: true});
+                const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+                const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+                const response = await fetch("http://example.com/blob?key=value");
+                await response.json();
+                await metrics.flush();
+
+                MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                    eventType: "http",
+                    path: "/blob",
+                    url: "http://example.com/blob"
+                }]);
+            } finally {
+                // restore default instrumentation for the following tests
+                delete process.env.OPENWHISK_NEWRELIC_SANITIZE_URL;
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+            }
+        });
+
+        it("should ignore http requests using options and environment variables", async function() {
+            process.env.OPENWHISK_NEWRELIC_IGNORE_HOSTS = "vault.example.com, sidecar.example.com";
+            process.env.OPENWHISK_NEWRELIC_IGNORE_METHODS = "HEAD";
+            NewRelic.stopInstrument();
+            NewRelic.instrument(() => {}, {
+                ignoreHttpRequests: { urls: [/\/result$/] }
+            });
+            try {
+                nock(`http://vault.example.com`).get("/token").reply(200, {ok: true});
+                nock(`http://example.com`).get("/result").reply(200, {ok: true});
+                nock(`http://example.com`).head("/test").reply(200);
+                nock(`http://example.com`).get("/test").reply(200, {ok: true});
+                const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+                const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+                await (await fetch("http://vault.example.com/token")).json();
+                await (await fetch("http://example.com/result")).json();
+                await (await fetch("http://example.com/test", { method: "HEAD" })).text();
+                await (await fetch("http://example.com/test")).json();
+                await metrics.flush();
+
+                MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                    eventType: "http",
+                    url: "http://example.com/test",
+                    method: "GET"
+                }]);
+            } finally {
+                // restore default instrumentation for the following tests
+                delete process.env.OPENWHISK_NEWRELIC_IGNORE_HOSTS;
+                delete process.env.OPENWHISK_NEWRELIC_IGNORE_METHODS;
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+            }
+        });
+
+        it("should send http summary when the activation finishes", async function() {
+            NewRelic.stopInstrument();
+            NewRelic.instrument(() => {}, { httpSummary: { httpEvents: false } });
+            try {
+                nock(`http://example.com`).get("/test").times(2).reply(200, "ok");
+                nock(`http://api.example.com`).get("/missing").reply(404, "not found");
+                nock(`http://api.example.com`).get("/unavailable").times(2).reply(503, "unavailable");
+                nock(`http://example.com`).post("/test", "abc").replyWithError({ message: "socket hang up", code: "ECONNRESET" });
+                const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+                const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+                await (await fetch("http://example.com/test")).text();
+                await (await fetch("http://example.com/test")).text();
+                await (await fetch("http://api.example.com/missing")).text();
+                await (await fetch("http://api.example.com/unavailable")).text();
+                await (await fetch("http://api.example.com/unavailable")).text();
+                await assert.rejects(fetch("http://example.com/test", { method: "POST", body: "abc" }));
+                await metrics.activationFinished({ flush: true });
+
+                MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                    ...EXPECTED_METRICS,
+                    eventType: "httpSummary",
+                    domain: "example.com",
+                    method: "GET",
+                    statusClass: "2xx",
+                    count: 2,
+                    errorCount: 0,
+                    responseBodySize: 4,
+                    duration_min: /\d+/,
+                    duration_max: /\d+/,
+                    duration_mean: /\d+/,
+                    duration_p95: /\d+/
+                }, {
+                    eventType: "httpSummary",
+                    domain: "example.com",
+                    method: "GET",
+                    statusClass: "4xx",
+                    count: 1,
+                    errorCount: 0
+                }, {
+                    eventType: "httpSummary",
+                    domain: "example.com",
+                    method: "GET",
+                    statusClass: "5xx",
+                    count: 2,
+                    errorCount: 2
+                }, {
+                    eventType: "httpSummary",
+                    domain: "example.com",
+                    method: "POST",
+                    statusClass: "error",
+                    count: 1,
+                    errorCount: 1
+                }]);
+            } finally {
+                // restore default instrumentation for the following tests
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+            }
+        });
+
+        it("should send http summary and slow http events using environment variable", async function() {
+            process.env.OPENWHISK_NEWRELIC_HTTP_SUMMARY = "true";
+            NewRelic.stopInstrument();
+            NewRelic.instrument(() => {});
+            try {
+                nock(`http://example.com`).get("/test").reply(200, "ok");
+                const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+                const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+                await (await fetch("http://example.com/test")).text();
+                await metrics.activationFinished({ flush: true });
+
+                MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                    eventType: "http",
+                    url: "http://example.com/test"
+                }, {
+                    eventType: "httpSummary",
+                    domain: "example.com",
+                    count: 1
+                }]);
+            } finally {
+                delete process.env.OPENWHISK_NEWRELIC_HTTP_SUMMARY;
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+            }
+        });
+
+        it("should only send http events above minimum duration with http summary", async function() {
+            NewRelic.stopInstrument();
+            NewRelic.instrument(() => {}, { httpSummary: { httpEventsMinDuration: 100 } });
+            try {
+                nock(`http://example.com`).get("/fast").reply(200, "ok");
+                nock(`http://example.com`).get("/slow").delay(200).reply(200, "ok");
+                const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+                const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+                await (await fetch("http://example.com/fast")).text();
+                await (await fetch("http://example.com/slow")).text();
+                await metrics.activationFinished({ flush: true });
+
+                MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                    eventType: "http",
+                    url: "http://example.com/slow"
+                }, {
+                    eventType: "httpSummary",
+                    domain: "example.com",
+                    count: 2
+                }]);
+                assert.strictEqual(receivedMetrics[0].sampleRate, undefined);
+            } finally {
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+            }
+        });
+
+        it("should only send slow http events with http summary", async function() {
+            NewRelic.stopInstrument();
+            NewRelic.instrument(() => {}, { httpSummary: true, sampleHttpRequests: { slowThreshold: 100 } });
+            try {
+                nock(`http://example.com`).get("/fast").reply(200, "ok");
+                nock(`http://example.com`).get("/slow").delay(200).reply(200, "ok");
+                const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+                const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+                await (await fetch("http://example.com/fast")).text();
+                await (await fetch("http://example.com/slow")).text();
+                await metrics.activationFinished({ flush: true });
+
+                MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                    eventType: "http",
+                    url: "http://example.com/slow",
+                    sampleRate: 1
+                }, {
+                    eventType: "httpSummary",
+                    domain: "example.com",
+                    count: 2
+                }]);
+            } finally {
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+            }
+        });
+
+        it("should only send slow and failed http events with slow threshold", async function() {
+            NewRelic.stopInstrument();
+            NewRelic.instrument(() => {}, { sampleHttpRequests: { slowThreshold: 100 } });
+            try {
+                nock(`http://example.com`).get("/fast").reply(200, "ok");
+                nock(`http://example.com`).get("/slow").delay(200).reply(200, "ok");
+                nock(`http://example.com`).get("/unavailable").reply(503, "unavailable");
+                const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+                const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+                await (await fetch("http://example.com/fast")).text();
+                await (await fetch("http://example.com/slow")).text();
+                await (await fetch("http://example.com/unavailable")).text();
+                await metrics.flush();
+
+                MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                    eventType: "http",
+                    url: "http://example.com/slow",
+                    sampleRate: 1
+                }, {
+                    eventType: "http",
+                    url: "http://example.com/unavailable",
+                    responseCode: 503,
+                    sampleRate: 1
+                }]);
+            } finally {
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+            }
+        });
+
+        it("should sample http events using environment variable", async function() {
+            process.env.OPENWHISK_NEWRELIC_HTTP_SAMPLE_RATE = "0.25";
+            NewRelic.stopInstrument();
+            NewRelic.instrument(() => {});
+            const random = Math.random;
+            try {
+                nock(`http://example.com`).get("/sampled").reply(200, "ok");
+                nock(`http://example.com`).get("/dropped").reply(200, "ok");
+                const receivedMetrics = MetricsTestHelper.mockNewRelic();
+                const randomValues = [0.1, 0.5];
+                Math.random = () => randomValues.shift();
+
+                const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+                await (await fetch("http://example.com/sampled")).text();
+                await (await fetch("http://example.com/dropped")).text();
+                Math.random = random;
+                await metrics.flush();
+
+                MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                    eventType: "http",
+                    url: "http://example.com/sampled",
+                    sampleRate: 0.25
+                }]);
+            } finally {
+                Math.random = random;
+                delete process.env.OPENWHISK_NEWRELIC_HTTP_SAMPLE_RATE;
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+            }
+        });
+
+        it("should send all http events with invalid sample rate", async function() {
+            NewRelic.stopInstrument();
+            NewRelic.instrument(() => {}, { sampleHttpRequests: { rate: 2 } });
+            try {
+                nock(`http://example.com`).get("/test").reply(200, "ok");
+                const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+                const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+                await (await fetch("http://example.com/test")).text();
+                await metrics.flush();
+
+                MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                    eventType: "http",
+                    url: "http://example.com/test"
+                }]);
+                assert.strictEqual(receivedMetrics[0].sampleRate, undefined);
+            } finally {
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+            }
+        });
+
+        it("should send http summary on action timeout", async function() {
+            NewRelic.stopInstrument();
+            NewRelic.instrument(() => {}, { httpSummary: { httpEvents: false } });
+            try {
+                nock(`http://example.com`).get("/test").reply(200, "ok");
+                const receivedMetrics = MetricsTestHelper.mockNewRelic();
+
+                // timeout metrics are sent 5 seconds before the deadline
+                process.env.__OW_DEADLINE = Date.now() + 5200;
+                new NewRelic(FAKE_PARAMS);
+                await (await fetch("http://example.com/test")).text();
+
+                await MetricsTestHelper.metricsDone(400);
+                MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                    eventType: "httpSummary",
+                    domain: "example.com",
+                    count: 1
+                }, {
+                    eventType: "timeout"
+                }]);
+            } finally {
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+            }
+        });
+
+        it("should not fail instrumentation with invalid ignore url regex", async function() {
+            process.env.OPENWHISK_NEWRELIC_IGNORE_URL_REGEX = "/activations/(";
+            try {
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+
+                nock(`http://example.com`).get("/test").reply(200, {ok: true});
+                const receivedMetrics = MetricsTestHelper.mockNewRelic();
+                const metrics = new NewRelic({ ...FAKE_PARAMS, disableActivationEvent: true });
+                await (await fetch("http://example.com/test")).json();
+                await metrics.flush();
+
+                MetricsTestHelper.assertArrayMatches(receivedMetrics, [{
+                    eventType: "http",
+                    url: "http://example.com/test"
+                }]);
+            } finally {
+                delete process.env.OPENWHISK_NEWRELIC_IGNORE_URL_REGEX;
+                NewRelic.stopInstrument();
+                NewRelic.instrument(() => {});
+            }
+        });
+
         it("should send http metrics for concurrent activations", async function() {
             nock(`http://example.com`).get("/test").reply(200, {ok: true}).persist();
             const receivedMetrics = MetricsTestHelper.mockNewRelic();
@@ -599,8 +2383,9 @@ describe("newrelic.js", function() {
 
             await MetricsTestHelper.metricsDone(700);
 
-            assert.equal(receivedMetrics.length, ACTIVATION_COUNT * 4);
-            receivedMetrics.forEach(m => {
+            const httpMetrics = receivedMetrics.filter(m => m.eventType !== "activation");
+            assert.equal(httpMetrics.length, ACTIVATION_COUNT * 4);
+            httpMetrics.forEach(m => {
                 MetricsTestHelper.assertObjectMatches(m, {
                     actionName: "action",
                     namespace: "namespace",
@@ -614,7 +2399,7 @@ describe("newrelic.js", function() {
             });
             // make sure all activation ids are found, but could be any order
             for (let i = 0; i < ACTIVATION_COUNT; i++) {
-                assert(receivedMetrics.some(m => m.activationId === i), `did not find activation id ${i}`);
+                assert(httpMetrics.some(m => m.activationId === i), `did not find activation id ${i}`);
             }
         });
     });
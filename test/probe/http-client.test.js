@@ -82,6 +82,7 @@ function doAssertMetrics(metrics, opts) {
     assert.strictEqual(metrics.domain, opts.domain || TEST_DOMAIN);
     assert.strictEqual(metrics.method, opts.method || "GET");
     assert.strictEqual(metrics.path, path);
+    assert.strictEqual(metrics.pathTemplate, opts.pathTemplate || path.split("?")[0]);
     assert.strictEqual(metrics.url, opts.url || url);
     assert.strictEqual(metrics.contentType, opts.contentType || "application/json");
     if (!opts.ignoreServerIPAddress) {
@@ -339,6 +340,40 @@ describe("probe http-client", function() {
             });
         });
 
+        function httpGet(http, url) {
+            return new Promise((resolve, reject) => {
+                http.get(url, (res) => {
+                    res.resume();
+                    res.on("end", resolve);
+                }).on("error", reject);
+            });
+        }
+
+        it("node http.get", async function() {
+            const TEST_PATH = "/test";
+            mockServer("GET", TEST_PATH);
+
+            await httpGet(http, `http://${getHost()}${TEST_PATH}`);
+
+            assertMetrics(this.metrics, {
+                path: TEST_PATH,
+                ensureDurationSendNotNegative: true
+            });
+        });
+
+        it("node https.get", async function() {
+            const TEST_PATH = "/test";
+            mockServer("GET", TEST_PATH);
+
+            await httpGet(https, `https://${getHttpsHost()}${TEST_PATH}`);
+
+            assertMetrics(this.metrics, {
+                protocol: "https",
+                path: TEST_PATH,
+                ensureDurationSendNotNegative: true
+            });
+        });
+
         it("node http GET without reading response", async function() {
             const TEST_PATH = "/test";
             mockServer("GET", TEST_PATH);
@@ -407,6 +442,27 @@ describe("probe http-client", function() {
             });
         });
 
+        it("node http PUT with body passed to end()", async function() {
+            const TEST_PUT_PATH = "/put";
+            mockServer("PUT", TEST_PUT_PATH);
+
+            await new Promise((resolve, reject) => {
+                const req = http.request(`http://${getHost()}${TEST_PUT_PATH}`, { method: "PUT" }, (res) => {
+                    res.resume();
+                    res.on("end", resolve);
+                });
+                req.on("error", reject);
+                req.end(BIG_CONTENT);
+            });
+
+            assertMetrics(this.metrics, {
+                method: "PUT",
+                path: TEST_PUT_PATH,
+                requestBodySize: BIG_CONTENT.length,
+                ensureDurationSendNotNegative: true
+            });
+        });
+
         it("node http PUT stream", async function() {
             const TEST_PUT_PATH = "/put";
             mockServer("PUT", TEST_PUT_PATH);
@@ -944,4 +1000,425 @@ describe("probe http-client", function() {
             assert.strictEqual(this.metrics, undefined);
         });
     });
+
+    describe("trace context", function() {
+        const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736";
+
+        function startWithTraceContext(test, traceContext) {
+            instrumentHttpClient.stop();
+            instrumentHttpClient.start((metrics) => {
+                test.metrics = metrics;
+            }, () => traceContext);
+        }
+
+        function nockHeaders() {
+            const received = {};
+            nock(`http://${TEST_HOST_NOCK}`)
+                .get("/test")
+                .reply(function() {
+                    Object.assign(received, this.req.headers);
+                    return [200, "ok"];
+                });
+            return received;
+        }
+
+        it("should add traceparent header with new span id", async function() {
+            startWithTraceContext(this, { traceId: TRACE_ID });
+            const headers = nockHeaders();
+
+            const response = await fetch(`http://${TEST_HOST_NOCK}/test`);
+            await response.text();
+
+            const match = /^00-([0-9a-f]{32})-([0-9a-f]{16})-01$/.exec(headers.traceparent);
+            assert.ok(match, `invalid traceparent header: ${headers.traceparent}`);
+            assert.strictEqual(match[1], TRACE_ID);
+            assert.strictEqual(headers.tracestate, undefined);
+            assert.strictEqual(this.metrics.traceId, TRACE_ID);
+            assert.strictEqual(this.metrics.spanId, match[2]);
+        });
+
+        it("should use new span id for each request", async function() {
+            startWithTraceContext(this, { traceId: TRACE_ID });
+            const headers1 = nockHeaders();
+            const headers2 = nockHeaders();
+
+            await (await fetch(`http://${TEST_HOST_NOCK}/test`)).text();
+            await (await fetch(`http://${TEST_HOST_NOCK}/test`)).text();
+
+            assert.notStrictEqual(headers1.traceparent, headers2.traceparent);
+        });
+
+        it("should add tracestate header", async function() {
+            startWithTraceContext(this, { traceId: TRACE_ID, traceState: "vendor=value" });
+            const headers = nockHeaders();
+
+            await (await fetch(`http://${TEST_HOST_NOCK}/test`)).text();
+
+            assert.strictEqual(headers.tracestate, "vendor=value");
+        });
+
+        it("should keep traceparent header set by client", async function() {
+            startWithTraceContext(this, { traceId: TRACE_ID });
+            const headers = nockHeaders();
+            const traceparent = "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01";
+
+            await (await fetch(`http://${TEST_HOST_NOCK}/test`, { headers: { traceparent } })).text();
+
+            assert.deepStrictEqual([].concat(headers.traceparent), [traceparent]);
+            assert.strictEqual(this.metrics.traceId, undefined);
+            assert.strictEqual(this.metrics.spanId, undefined);
+        });
+
+        it("should not add headers without trace context", async function() {
+            startWithTraceContext(this, undefined);
+            const headers = nockHeaders();
+
+            await (await fetch(`http://${TEST_HOST_NOCK}/test`)).text();
+
+            assert.strictEqual(headers.traceparent, undefined);
+            assert.strictEqual(this.metrics.traceId, undefined);
+        });
+    });
+
+    describe("url sanitizing", function() {
+        const SAS_QUERY = "sv=2019-12-12&se=2021-01-01T00%3A00%3A00Z&sr=b&sp=r&sig=abc%2Bdef%3D";
+
+        function startWithOptions(test, options) {
+            instrumentHttpClient.stop();
+            instrumentHttpClient.start((metrics) => {
+                test.metrics = metrics;
+            }, undefined, options);
+        }
+
+        async function get(path) {
+            nock(`https://${TEST_HOST_NOCK}`).get(path).reply(200, "ok");
+            await (await fetch(`https://${TEST_HOST_NOCK}${path}`)).text();
+        }
+
+        it("should mask signed url parameters by default", async function() {
+            await get(`/container/blob?${SAS_QUERY}`);
+
+            const expectedPath = "/container/blob?sv=2019-12-12&se=REDACTED&sr=b&sp=r&sig=REDACTED";
+            assert.strictEqual(this.metrics.path, expectedPath);
+            assert.strictEqual(this.metrics.url, `https://${TEST_HOST_NOCK}${expectedPath}`);
+        });
+
+        it("should mask S3 presigned url parameters case insensitively", async function() {
+            await get("/bucket/key?X-Amz-Algorithm=AWS4-HMAC-SHA256&x-amz-credential=AKIA%2F20210101&X-Amz-Signature=0123abcd");
+
+            assert.strictEqual(this.metrics.path, "/bucket/key?X-Amz-Algorithm=AWS4-HMAC-SHA256&x-amz-credential=REDACTED&X-Amz-Signature=REDACTED");
+        });
+
+        it("should keep other query parameters", async function() {
+            await get("/path?key=value&flag");
+
+            assert.strictEqual(this.metrics.path, "/path?key=value&flag");
+        });
+
+        it("should remove signed url parameters", async function() {
+            startWithOptions(this, { sanitizeUrl: { mode: "remove" } });
+            await get(`/container/blob?${SAS_QUERY}`);
+
+            assert.strictEqual(this.metrics.path, "/container/blob?sv=2019-12-12&sr=b&sp=r");
+        });
+
+        it("should remove query string if only signed url parameters", async function() {
+            startWithOptions(this, { sanitizeUrl: { mode: "remove" } });
+            await get("/container/blob?sig=abc");
+
+            assert.strictEqual(this.metrics.path, "/container/blob");
+        });
+
+        it("should keep only origin and path", async function() {
+            startWithOptions(this, { sanitizeUrl: { mode: "stripQuery" } });
+            await get("/path?key=value");
+
+            assert.strictEqual(this.metrics.path, "/path");
+            assert.strictEqual(this.metrics.url, `https://${TEST_HOST_NOCK}/path`);
+        });
+
+        it("should mask custom query parameters", async function() {
+            startWithOptions(this, { sanitizeUrl: { queryParams: ["code"] } });
+            await get("/callback?code=secret&sig=abc");
+
+            assert.strictEqual(this.metrics.path, "/callback?code=REDACTED&sig=abc");
+        });
+
+        it("should fall back to mask for unknown mode", async function() {
+            startWithOptions(this, { sanitizeUrl: { mode: "unknown" } });
+            await get("/path?sig=abc");
+
+            assert.strictEqual(this.metrics.path, "/path?sig=REDACTED");
+        });
+
+        it("should not sanitize if disabled", async function() {
+            startWithOptions(this, { sanitizeUrl: false });
+            await get(`/container/blob?${SAS_QUERY}`);
+
+            assert.strictEqual(this.metrics.path, `/container/blob?${SAS_QUERY}`);
+        });
+    });
+
+    describe("path template", function() {
+        function startWithOptions(test, options) {
+            instrumentHttpClient.stop();
+            instrumentHttpClient.start((metrics) => {
+                test.metrics = metrics;
+            }, undefined, options);
+        }
+
+        async function get(path, host=TEST_HOST_NOCK) {
+            nock(`https://${host}`).get(path).reply(200, "ok");
+            await (await fetch(`https://${host}${path}`)).text();
+        }
+
+        it("should replace uuids, numbers and hashes", async function() {
+            await get("/assets/123e4567-e89b-12d3-a456-426614174000/renditions/2/d41d8cd98f00b204e9800998ecf8427e.png?width=100");
+
+            assert.strictEqual(this.metrics.pathTemplate, "/assets/{uuid}/renditions/{number}/d41d8cd98f00b204e9800998ecf8427e.png");
+        });
+
+        it("should replace hex hash path segments", async function() {
+            await get("/blobs/d41d8cd98f00b204e9800998ecf8427e");
+
+            assert.strictEqual(this.metrics.pathTemplate, "/blobs/{hash}");
+        });
+
+        it("should keep other path segments", async function() {
+            await get("/api/v1/files/abc123/");
+
+            assert.strictEqual(this.metrics.pathTemplate, "/api/v1/files/abc123/");
+        });
+
+        it("should use route template of host", async function() {
+            startWithOptions(this, {
+                routeTemplates: {
+                    [TEST_HOST_NOCK]: [
+                        "/api/v1/namespaces/{namespace}",
+                        "/api/v1/namespaces/{namespace}/actions/{action}"
+                    ]
+                }
+            });
+            await get("/api/v1/namespaces/foo/actions/bar?blocking=true");
+
+            assert.strictEqual(this.metrics.path, "/api/v1/namespaces/foo/actions/bar?blocking=true");
+            assert.strictEqual(this.metrics.pathTemplate, "/api/v1/namespaces/{namespace}/actions/{action}");
+        });
+
+        it("should not use route template of other host", async function() {
+            startWithOptions(this, {
+                routeTemplates: {
+                    "other.example.com": "/api/v1/namespaces/{namespace}/actions/{action}"
+                }
+            });
+            await get("/api/v1/namespaces/foo/actions/bar");
+
+            assert.strictEqual(this.metrics.pathTemplate, "/api/v1/namespaces/foo/actions/bar");
+        });
+
+        it("should use route template for all hosts", async function() {
+            startWithOptions(this, {
+                routeTemplates: {
+                    "*": ["/users/{user}.json"]
+                }
+            });
+            await get("/users/alice.json");
+
+            assert.strictEqual(this.metrics.pathTemplate, "/users/{user}.json");
+        });
+
+        it("should fall back to automatic placeholders if no route template matches", async function() {
+            startWithOptions(this, {
+                routeTemplates: {
+                    [TEST_HOST_NOCK]: ["/api/v1/namespaces/{namespace}"]
+                }
+            });
+            await get("/api/v1/jobs/42");
+
+            assert.strictEqual(this.metrics.pathTemplate, "/api/v1/jobs/{number}");
+        });
+    });
+
+    describe("ignore rules", function() {
+        function startWithIgnore(test, ignore, traceContext) {
+            // metrics of the previous test in this suite
+            delete test.metrics;
+            instrumentHttpClient.stop();
+            instrumentHttpClient.start((metrics) => {
+                test.metrics = metrics;
+            }, () => traceContext, { ignore });
+        }
+
+        async function request(method, url) {
+            nock(url).intercept(/.*/, method).reply(200, "ok");
+            await (await fetch(url, { method })).text();
+        }
+
+        it("should ignore requests by host", async function() {
+            startWithIgnore(this, { hosts: ["Vault.Example.com"] });
+
+            await request("GET", "https://vault.example.com/v1/auth/token/renew-self");
+            assert.strictEqual(this.metrics, undefined);
+
+            await request("GET", "https://other.example.com/test");
+            assert.strictEqual(this.metrics.host, "other.example.com");
+        });
+
+        it("should ignore requests by url regex", async function() {
+            startWithIgnore(this, { urls: [/\/activations\/[^/]+\/result$/, "^http://localhost:9090/"] });
+
+            await request("GET", "https://openwhisk.example.com/api/v1/namespaces/_/activations/123/result");
+            assert.strictEqual(this.metrics, undefined);
+            await request("POST", "http://localhost:9090/metrics");
+            assert.strictEqual(this.metrics, undefined);
+
+            await request("GET", "https://openwhisk.example.com/api/v1/namespaces/_/activations/123/logs");
+            assert.strictEqual(this.metrics.path, "/api/v1/namespaces/_/activations/123/logs");
+        });
+
+        it("should ignore requests by global url regex every time", async function() {
+            startWithIgnore(this, { urls: [/\/token$/g] });
+
+            await request("GET", "https://example.com/token");
+            assert.strictEqual(this.metrics, undefined);
+            await request("GET", "https://example.com/token");
+            assert.strictEqual(this.metrics, undefined);
+        });
+
+        it("should skip invalid url regex", async function() {
+            const error = console.error;
+            const errors = [];
+            console.error = (...args) => errors.push(args.join(" "));
+            try {
+                startWithIgnore(this, { urls: ["/activations/(", "/result$"] });
+            } finally {
+                console.error = error;
+            }
+            assert.ok(errors[0].startsWith("Invalid url pattern for ignoring http requests"));
+
+            await request("GET", "https://example.com/activations/123/result");
+            assert.strictEqual(this.metrics, undefined);
+            await request("GET", "https://example.com/activations/(");
+            assert.strictEqual(this.metrics.path, "/activations/(");
+        });
+
+        it("should ignore requests by method", async function() {
+            startWithIgnore(this, { methods: ["options"] });
+
+            await request("OPTIONS", "https://example.com/test");
+            assert.strictEqual(this.metrics, undefined);
+
+            await request("GET", "https://example.com/test");
+            assert.strictEqual(this.metrics.method, "GET");
+        });
+
+        it("should ignore requests by predicate", async function() {
+            const targets = [];
+            startWithIgnore(this, {
+                predicate: (target) => {
+                    targets.push(target);
+                    return target.port === 8200;
+                }
+            });
+
+            await request("PUT", "https://example.com:8200/v1/secret?sig=abc");
+            assert.strictEqual(this.metrics, undefined);
+            assert.deepStrictEqual(targets[0], {
+                protocol: "https:",
+                host: "example.com",
+                port: 8200,
+                origin: "https://example.com:8200",
+                path: "/v1/secret?sig=abc",
+                url: "https://example.com:8200/v1/secret?sig=abc",
+                method: "PUT"
+            });
+
+            await request("GET", "https://example.com/test");
+            assert.strictEqual(this.metrics.port, 443);
+        });
+
+        it("should not ignore requests if predicate throws", async function() {
+            startWithIgnore(this, {
+                predicate: () => {
+                    throw new Error("predicate failed");
+                }
+            });
+
+            await request("GET", "https://example.com/test");
+            assert.strictEqual(this.metrics.host, "example.com");
+        });
+
+        it("should not add trace context to ignored requests", async function() {
+            startWithIgnore(this, { hosts: ["example.com"] }, { traceId: "4bf92f3577b34da6a3ce929d0e0e4736" });
+            let traceparent;
+            nock("https://example.com").get("/test").reply(function() {
+                traceparent = this.req.headers.traceparent;
+                return [200, "ok"];
+            });
+
+            await (await fetch("https://example.com/test")).text();
+
+            assert.strictEqual(traceparent, undefined);
+            assert.strictEqual(this.metrics, undefined);
+        });
+    });
+
+    describe("connection details", function() {
+        function get(client, url, agent) {
+            return new Promise((resolve, reject) => {
+                client.get(url, { agent }, (res) => {
+                    res.resume();
+                    res.on("end", resolve);
+                }).on("error", reject);
+            });
+        }
+
+        it("should report tls details of https requests", async function() {
+            mockServer("GET", "/test");
+
+            await get(https, `https://${getHttpsHost()}/test`);
+
+            assert.strictEqual(this.metrics.socketReused, false);
+            assert.ok(/^TLSv1\.[23]$/.test(this.metrics.tlsProtocol));
+            assert.ok(this.metrics.tlsCipher.length > 0);
+            assert.strictEqual(this.metrics.alpnProtocol, undefined);
+            assert.strictEqual(this.metrics.certificateSubject, "localhost");
+            assert.strictEqual(this.metrics.certificateIssuer, "localhost");
+            // certificate of the mock server is valid for 1 day
+            assert.ok(this.metrics.certificateExpiresInDays >= 0);
+            assert.ok(this.metrics.certificateExpiresInDays <= 1);
+        });
+
+        it("should not report tls details of http requests", async function() {
+            mockServer("GET", "/test");
+
+            await get(http, `http://${getHost()}/test`);
+
+            assert.strictEqual(this.metrics.socketReused, false);
+            assert.strictEqual(this.metrics.tlsProtocol, undefined);
+            assert.strictEqual(this.metrics.certificateSubject, undefined);
+        });
+
+        it("should report reused keep-alive sockets", async function() {
+            mockServer("GET", "/test");
+            const agent = new https.Agent({ keepAlive: true, maxSockets: 1 });
+
+            try {
+                await get(https, `https://${getHttpsHost()}/test`, agent);
+                assert.strictEqual(this.metrics.socketReused, false);
+
+                // wait for the socket to be returned to the agent
+                await sleep(10);
+                delete this.metrics;
+                await get(https, `https://${getHttpsHost()}/test`, agent);
+
+                assert.strictEqual(this.metrics.socketReused, true);
+                assert.ok(this.metrics.tlsProtocol);
+                assert.strictEqual(this.metrics.certificateSubject, "localhost");
+                assert.ok(["127.0.0.1","::1"].includes(this.metrics.serverIPAddress));
+            } finally {
+                agent.destroy();
+            }
+        });
+    });
 });
@@ -0,0 +1,250 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+/* eslint-disable mocha/no-mocha-arrows */
+
+"use strict";
+const http2Probe = require('../../lib/probe/http2');
+
+const assert = require('assert');
+const http2 = require('http2');
+const pem = require('pem').promisified;
+
+const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736";
+
+function handleStream(stream, headers) {
+    let body = "";
+    stream.on("data", chunk => {
+        body += chunk;
+    });
+    stream.on("end", () => {
+        const response = JSON.stringify({
+            ok: true,
+            body,
+            traceparent: headers.traceparent
+        });
+        if (headers[":path"].startsWith("/chunked")) {
+            stream.respond({ ":status": 200, "content-type": "application/json", "x-request-id": "test-request-id" });
+        } else {
+            stream.respond({ ":status": 200, "content-type": "application/json", "x-request-id": "test-request-id", "content-length": response.length });
+        }
+        stream.end(response);
+    });
+}
+
+// send a request on the session and return the parsed response body
+function request(session, headers, body) {
+    return new Promise((resolve, reject) => {
+        const stream = session.request(headers);
+        let data = "";
+        stream.setEncoding("utf8");
+        stream.on("data", chunk => {
+            data += chunk;
+        });
+        stream.on("end", () => resolve(JSON.parse(data)));
+        stream.on("error", reject);
+        stream.end(body);
+    });
+}
+
+function close(session) {
+    return new Promise(resolve => session.close(resolve));
+}
+
+describe("probe http2", function() {
+    let server;
+    let secureServer;
+    // metrics reported by the probe
+    let reported;
+
+    function start(traceContext, options) {
+        reported = undefined;
+        http2Probe.stop();
+        http2Probe.start((metrics) => {
+            reported = metrics;
+        }, () => traceContext, options);
+    }
+
+    function origin(secure) {
+        return secure ? `https://localhost:${secureServer.address().port}` : `http://localhost:${server.address().port}`;
+    }
+
+    before(async function() {
+        server = http2.createServer();
+        server.on("stream", handleStream);
+        await new Promise(resolve => server.listen(0, resolve));
+
+        const keys = await pem.createCertificate({ days: 1, selfSigned: true });
+        secureServer = http2.createSecureServer({ key: keys.serviceKey, cert: keys.certificate });
+        secureServer.on("stream", handleStream);
+        await new Promise(resolve => secureServer.listen(0, resolve));
+    });
+
+    after(async function() {
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => secureServer.close(resolve));
+    });
+
+    beforeEach(function() {
+        start();
+    });
+
+    afterEach(function() {
+        http2Probe.stop();
+    });
+
+    it("should report GET stream", async function() {
+        const session = http2.connect(origin());
+        const response = await request(session, { ":path": "/test?key=value" });
+        await close(session);
+
+        assert.strictEqual(response.ok, true);
+        const port = server.address().port;
+        assert.strictEqual(reported.protocol, "http:");
+        assert.strictEqual(reported.host, "localhost");
+        assert.strictEqual(reported.port, port);
+        assert.strictEqual(reported.path, "/test?key=value");
+        assert.strictEqual(reported.pathTemplate, "/test");
+        assert.strictEqual(reported.url, `http://localhost:${port}/test?key=value`);
+        assert.strictEqual(reported.method, "GET");
+        assert.strictEqual(reported.domain, "localhost");
+        assert.strictEqual(reported.responseCode, 200);
+        assert.strictEqual(reported.responseStatus, "OK");
+        assert.strictEqual(reported.contentType, "application/json");
+        assert.strictEqual(reported.serverRequestId, "test-request-id");
+        assert.strictEqual(reported.responseBodySize, JSON.stringify(response).length);
+        assert.ok(["127.0.0.1", "::1"].includes(reported.serverIPAddress));
+        for (const duration of ["duration", "durationBlocked", "durationConnect", "durationWait", "durationReceive"]) {
+            assert.ok(reported[duration] >= 0, `${duration}: ${reported[duration]}`);
+        }
+    });
+
+    it("should report https POST stream with body", async function() {
+        const session = http2.connect(origin(true), { rejectUnauthorized: false });
+        const response = await request(session, { ":method": "POST", ":path": "/items", "content-type": "text/plain" }, "abcdef");
+        await close(session);
+
+        assert.strictEqual(response.body, "abcdef");
+        assert.strictEqual(reported.protocol, "https:");
+        assert.strictEqual(reported.port, secureServer.address().port);
+        assert.strictEqual(reported.method, "POST");
+        assert.strictEqual(reported.requestBodySize, 6);
+        assert.strictEqual(reported.responseCode, 200);
+        assert.strictEqual(reported.socketReused, false);
+        assert.ok(reported.tlsProtocol);
+        assert.ok(reported.tlsCipher);
+        assert.strictEqual(reported.alpnProtocol, "h2");
+        assert.strictEqual(reported.certificateSubject, "localhost");
+        assert.ok(reported.certificateExpiresInDays >= 0);
+    });
+
+    it("should count response body without content-length", async function() {
+        const session = http2.connect(origin());
+        const response = await request(session, { ":path": "/chunked" });
+        await close(session);
+
+        assert.strictEqual(reported.responseBodySize, JSON.stringify(response).length);
+    });
+
+    it("should report each stream of a session", async function() {
+        const paths = [];
+        http2Probe.stop();
+        http2Probe.start(metrics => paths.push(metrics.path));
+
+        const session = http2.connect(origin());
+        await Promise.all([
+            request(session, { ":path": "/a" }),
+            request(session, { ":path": "/b" })
+        ]);
+        await request(session, { ":path": "/c" });
+        await close(session);
+
+        assert.deepStrictEqual(paths.sort(), ["/a", "/b", "/c"]);
+    });
+
+    it("should not report connect duration on connected session", async function() {
+        const session = http2.connect(origin());
+        await request(session, { ":path": "/a" });
+        assert.ok(reported.durationConnect >= 0);
+        assert.strictEqual(reported.socketReused, false);
+
+        await request(session, { ":path": "/b" });
+        await close(session);
+        assert.strictEqual(reported.durationConnect, undefined);
+        assert.strictEqual(reported.socketReused, true);
+        assert.strictEqual(reported.tlsProtocol, undefined);
+    });
+
+    it("should report stream errors", async function() {
+        const session = http2.connect(origin());
+        const stream = session.request({ ":path": "/test" });
+        const error = new Promise(resolve => stream.on("error", resolve));
+        stream.destroy(new Error("stream failed"));
+        await error;
+        await close(session);
+
+        assert.strictEqual(reported.error, true);
+        assert.strictEqual(reported.errorMessage, "stream failed");
+        assert.strictEqual(reported.responseCode, undefined);
+    });
+
+    it("should add trace context header", async function() {
+        start({ traceId: TRACE_ID });
+        const headers = { ":path": "/test" };
+        const session = http2.connect(origin());
+        const response = await request(session, headers);
+        await close(session);
+
+        assert.strictEqual(response.traceparent, `00-${TRACE_ID}-${reported.spanId}-01`);
+        assert.strictEqual(reported.traceId, TRACE_ID);
+        // headers object of the client is not changed
+        assert.deepStrictEqual(headers, { ":path": "/test" });
+    });
+
+    it("should keep traceparent header set by client", async function() {
+        start({ traceId: TRACE_ID });
+        const traceparent = "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01";
+        const session = http2.connect(origin());
+        const response = await request(session, { ":path": "/test", traceparent });
+        await close(session);
+
+        assert.strictEqual(response.traceparent, traceparent);
+        assert.strictEqual(reported.traceId, undefined);
+    });
+
+    it("should apply url sanitizing, route templates and ignore rules", async function() {
+        start(undefined, {
+            routeTemplates: { localhost: ["/blobs/{name}"] },
+            ignore: { urls: [/\/health$/] }
+        });
+        const session = http2.connect(origin());
+        await request(session, { ":path": "/health" });
+        assert.strictEqual(reported, undefined);
+
+        await request(session, { ":path": "/blobs/file.txt?sig=secret" });
+        await close(session);
+        assert.strictEqual(reported.path, "/blobs/file.txt?sig=REDACTED");
+        assert.strictEqual(reported.pathTemplate, "/blobs/{name}");
+    });
+
+    it("should not instrument sessions after stop", async function() {
+        http2Probe.stop();
+        const session = http2.connect(origin());
+        await request(session, { ":path": "/test" });
+        await close(session);
+
+        assert.strictEqual(reported, undefined);
+        assert.strictEqual(session.____request_original, undefined);
+    });
+});
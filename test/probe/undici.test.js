@@ -0,0 +1,353 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+/* eslint-disable mocha/no-mocha-arrows */
+
+"use strict";
+
+const undiciProbe = require('../../lib/probe/undici');
+
+const assert = require('assert');
+const http = require('http');
+
+let diagnosticsChannel;
+try {
+    diagnosticsChannel = require('diagnostics_channel');
+// eslint-disable-next-line no-unused-vars
+} catch (e) {
+    // Node < 14.17
+}
+
+const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736";
+
+function publish(name, message) {
+    diagnosticsChannel.channel(name).publish(message);
+}
+
+// undici request object as passed in the diagnostics channel events
+function undiciRequest(options={}) {
+    return {
+        origin: options.origin || "https://example.com",
+        method: options.method || "GET",
+        path: options.path || "/test",
+        headers: options.headers || ["accept", "*/*"],
+        contentLength: options.contentLength,
+        addHeader(name, value) {
+            this.headers.push(name, value);
+            return this;
+        },
+        onData() {
+            return true;
+        }
+    };
+}
+
+const SOCKET = { localAddress: "172.20.0.23", remoteAddress: "34.196.31.105" };
+const CONNECTOR = () => {};
+
+// publish the events of a successful request in the order undici sends them
+function simulateRequest(request, options={}) {
+    const socket = options.socket || SOCKET;
+    publish("undici:request:create", { request });
+    if (!options.reuseConnection) {
+        const connectParams = { host: "example.com", hostname: "example.com", protocol: "https:" };
+        publish("undici:client:beforeConnect", { connectParams, connector: CONNECTOR });
+        publish("undici:client:connected", { connectParams: { ...connectParams }, connector: CONNECTOR, socket });
+    }
+    publish("undici:client:sendHeaders", { request, headers: "", socket });
+    publish("undici:request:bodySent", { request });
+    publish("undici:request:headers", {
+        request,
+        response: {
+            statusCode: options.statusCode || 200,
+            statusText: options.statusText || "OK",
+            headers: options.responseHeaders || [
+                Buffer.from("content-type"), Buffer.from("application/json"),
+                Buffer.from("x-request-id"), Buffer.from("test-request-id"),
+                Buffer.from("content-length"), Buffer.from("11")
+            ]
+        }
+    });
+    for (const chunk of options.body || []) {
+        request.onData(Buffer.from(chunk));
+    }
+    publish("undici:request:trailers", { request, trailers: [] });
+}
+
+describe("probe undici", function() {
+
+    before(function() {
+        if (!diagnosticsChannel) {
+            this.skip();
+        }
+    });
+
+    // metrics reported by the probe
+    let reported;
+
+    function start(traceContext, options) {
+        reported = undefined;
+        undiciProbe.stop();
+        undiciProbe.start((metrics) => {
+            reported = metrics;
+        }, () => traceContext, options);
+    }
+
+    beforeEach(function() {
+        start();
+    });
+
+    afterEach(function() {
+        undiciProbe.stop();
+    });
+
+    describe("diagnostics channel events", function() {
+
+        it("should report request metrics", async function() {
+            const request = undiciRequest({ method: "post", path: "/api/items?key=value", contentLength: 5 });
+            simulateRequest(request);
+
+            const metrics = reported;
+            assert.strictEqual(metrics.protocol, "https:");
+            assert.strictEqual(metrics.host, "example.com");
+            assert.strictEqual(metrics.port, 443);
+            assert.strictEqual(metrics.path, "/api/items?key=value");
+            assert.strictEqual(metrics.pathTemplate, "/api/items");
+            assert.strictEqual(metrics.url, "https://example.com/api/items?key=value");
+            assert.strictEqual(metrics.method, "POST");
+            assert.strictEqual(metrics.domain, "example.com");
+            assert.strictEqual(metrics.responseCode, 200);
+            assert.strictEqual(metrics.responseStatus, "OK");
+            assert.strictEqual(metrics.contentType, "application/json");
+            assert.strictEqual(metrics.serverRequestId, "test-request-id");
+            assert.strictEqual(metrics.requestBodySize, 5);
+            assert.strictEqual(metrics.responseBodySize, 11);
+            assert.strictEqual(metrics.localIPAddress, "172.20.0.23");
+            assert.strictEqual(metrics.serverIPAddress, "34.196.31.105");
+            for (const duration of ["duration", "durationBlocked", "durationConnect", "durationSend", "durationWait", "durationReceive"]) {
+                assert.ok(metrics[duration] >= 0, `${duration}: ${metrics[duration]}`);
+            }
+            assert.strictEqual(metrics.durationDNS, undefined);
+            assert.strictEqual(metrics.error, undefined);
+        });
+
+        it("should report port of origin", async function() {
+            simulateRequest(undiciRequest({ origin: "http://localhost:8080" }));
+
+            assert.strictEqual(reported.protocol, "http:");
+            assert.strictEqual(reported.port, 8080);
+            assert.strictEqual(reported.url, "http://localhost:8080/test");
+        });
+
+        it("should count response body without content-length header", async function() {
+            simulateRequest(undiciRequest(), {
+                responseHeaders: [Buffer.from("content-type"), Buffer.from("text/plain")],
+                body: ["hello ", "world"]
+            });
+
+            assert.strictEqual(reported.responseBodySize, 11);
+            assert.strictEqual(reported.requestBodySize, undefined);
+        });
+
+        it("should not report connect duration for reused connection", async function() {
+            const socket = { ...SOCKET };
+            simulateRequest(undiciRequest(), { socket });
+            assert.ok(reported.durationConnect >= 0);
+            assert.strictEqual(reported.socketReused, false);
+
+            simulateRequest(undiciRequest(), { socket, reuseConnection: true });
+            assert.strictEqual(reported.durationConnect, undefined);
+            assert.ok(reported.durationBlocked >= 0);
+            assert.strictEqual(reported.socketReused, true);
+        });
+
+        it("should report tls details", async function() {
+            const validTo = new Date(Date.now() + 30.5 * 24 * 60 * 60 * 1000).toUTCString();
+            const socket = {
+                ...SOCKET,
+                encrypted: true,
+                alpnProtocol: "http/1.1",
+                getProtocol: () => "TLSv1.3",
+                getCipher: () => ({ name: "TLS_AES_256_GCM_SHA384" }),
+                getPeerCertificate: () => ({
+                    subject: { CN: "example.com" },
+                    issuer: { C: "US", O: "Let's Encrypt", CN: "R3" },
+                    valid_to: validTo
+                })
+            };
+            simulateRequest(undiciRequest(), { socket });
+
+            assert.strictEqual(reported.tlsProtocol, "TLSv1.3");
+            assert.strictEqual(reported.tlsCipher, "TLS_AES_256_GCM_SHA384");
+            assert.strictEqual(reported.alpnProtocol, "http/1.1");
+            assert.strictEqual(reported.certificateSubject, "example.com");
+            assert.strictEqual(reported.certificateIssuer, "R3");
+            assert.strictEqual(reported.certificateExpiresInDays, 30);
+        });
+
+        it("should not report tls details of unencrypted sockets", async function() {
+            simulateRequest(undiciRequest({ origin: "http://example.com" }));
+
+            assert.strictEqual(reported.tlsProtocol, undefined);
+            assert.strictEqual(reported.certificateExpiresInDays, undefined);
+        });
+
+        it("should report errors", async function() {
+            const request = undiciRequest();
+            publish("undici:request:create", { request });
+            const error = new Error("connect ECONNREFUSED 127.0.0.1:443");
+            error.code = "ECONNREFUSED";
+            publish("undici:request:error", { request, error });
+
+            assert.strictEqual(reported.error, true);
+            assert.strictEqual(reported.errorMessage, "connect ECONNREFUSED 127.0.0.1:443");
+            assert.strictEqual(reported.errorCode, "ECONNREFUSED");
+            assert.strictEqual(reported.url, "https://example.com/test");
+            assert.ok(reported.duration >= 0);
+        });
+
+        it("should report each request once", async function() {
+            let count = 0;
+            undiciProbe.stop();
+            undiciProbe.start(() => count++);
+
+            const request = undiciRequest();
+            simulateRequest(request);
+            publish("undici:request:error", { request, error: new Error("aborted") });
+
+            assert.strictEqual(count, 1);
+        });
+
+        it("should sanitize url", async function() {
+            simulateRequest(undiciRequest({ path: "/container/blob?sv=2019-12-12&sig=secret" }));
+
+            assert.strictEqual(reported.path, "/container/blob?sv=2019-12-12&sig=REDACTED");
+            assert.strictEqual(reported.url, "https://example.com/container/blob?sv=2019-12-12&sig=REDACTED");
+        });
+
+        it("should use route templates", async function() {
+            start(undefined, { routeTemplates: { "example.com": ["/api/v1/namespaces/{namespace}"] } });
+            simulateRequest(undiciRequest({ path: "/api/v1/namespaces/foo" }));
+
+            assert.strictEqual(reported.pathTemplate, "/api/v1/namespaces/{namespace}");
+        });
+
+        it("should ignore requests", async function() {
+            start({ traceId: TRACE_ID }, { ignore: { hosts: ["example.com"] } });
+            const request = undiciRequest();
+            simulateRequest(request);
+
+            assert.strictEqual(reported, undefined);
+            assert.deepStrictEqual(request.headers, ["accept", "*/*"]);
+        });
+
+        it("should add traceparent header", async function() {
+            start({ traceId: TRACE_ID, traceState: "vendor=value" });
+            const request = undiciRequest();
+            simulateRequest(request);
+
+            assert.strictEqual(request.headers[2], "traceparent");
+            assert.strictEqual(request.headers[3], `00-${TRACE_ID}-${reported.spanId}-01`);
+            assert.deepStrictEqual(request.headers.slice(4), ["tracestate", "vendor=value"]);
+            assert.strictEqual(reported.traceId, TRACE_ID);
+        });
+
+        it("should keep traceparent header set by client", async function() {
+            start({ traceId: TRACE_ID });
+            const traceparent = "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01";
+            // Node 18 passes the headers as raw string
+            const request = undiciRequest({ headers: `accept: */*\r\ntraceparent: ${traceparent}\r\n` });
+            simulateRequest(request);
+
+            assert.strictEqual(request.headers, `accept: */*\r\ntraceparent: ${traceparent}\r\n`);
+            assert.strictEqual(reported.traceId, undefined);
+        });
+
+        it("should not report after stop", async function() {
+            undiciProbe.stop();
+            simulateRequest(undiciRequest());
+
+            assert.strictEqual(reported, undefined);
+        });
+    });
+
+    describe("global fetch", function() {
+        let server;
+
+        before(function(done) {
+            if (typeof fetch !== "function") {
+                // Node < 18
+                this.skip();
+            }
+            server = http.createServer((req, res) => {
+                req.resume();
+                req.on("end", () => {
+                    res.setHeader("content-type", "application/json");
+                    res.setHeader("x-request-id", "test-request-id");
+                    res.end(JSON.stringify({ ok: true }));
+                });
+            }).listen(0, "127.0.0.1", done);
+        });
+
+        after(function(done) {
+            if (server) {
+                // close keep-alive connections of fetch
+                server.closeAllConnections();
+                server.close(done);
+            } else {
+                done();
+            }
+        });
+
+        it("should report fetch GET", async function() {
+            const port = server.address().port;
+            const response = await fetch(`http://127.0.0.1:${port}/test?key=value`);
+            await response.json();
+
+            const metrics = reported;
+            assert.strictEqual(metrics.url, `http://127.0.0.1:${port}/test?key=value`);
+            assert.strictEqual(metrics.method, "GET");
+            assert.strictEqual(metrics.responseCode, 200);
+            assert.strictEqual(metrics.contentType, "application/json");
+            assert.strictEqual(metrics.serverRequestId, "test-request-id");
+            assert.strictEqual(metrics.responseBodySize, 11);
+            assert.strictEqual(metrics.serverIPAddress, "127.0.0.1");
+            assert.ok(metrics.duration >= 0);
+            assert.ok(metrics.durationConnect >= 0);
+            assert.strictEqual(metrics.tlsProtocol, undefined);
+        });
+
+        it("should report fetch POST", async function() {
+            const port = server.address().port;
+            const response = await fetch(`http://127.0.0.1:${port}/test`, { method: "POST", body: "abcdef" });
+            await response.json();
+
+            assert.strictEqual(reported.method, "POST");
+            assert.strictEqual(reported.requestBodySize, 6);
+        });
+
+        it("should report fetch connection errors", async function() {
+            // port without server
+            const closed = http.createServer();
+            await new Promise(resolve => closed.listen(0, "127.0.0.1", resolve));
+            const port = closed.address().port;
+            await new Promise(resolve => closed.close(resolve));
+
+            await assert.rejects(fetch(`http://127.0.0.1:${port}/test`));
+
+            assert.strictEqual(reported.error, true);
+            assert.strictEqual(reported.errorCode, "ECONNREFUSED");
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const trace = require('../lib/trace');
+
+const assert = require('assert');
+const sleep = require('util').promisify(setTimeout);
+
+describe("trace.js", function() {
+
+    it("should generate trace and span ids", function() {
+        assert.ok(/^[0-9a-f]{32}$/.test(trace.newTraceId()));
+        assert.ok(/^[0-9a-f]{16}$/.test(trace.newSpanId()));
+        assert.notStrictEqual(trace.newSpanId(), trace.newSpanId());
+    });
+
+    it("should format traceparent", function() {
+        assert.strictEqual(
+            trace.traceparent("4bf92f3577b34da6a3ce929d0e0e4736", "00f067aa0ba902b7"),
+            "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+        );
+    });
+
+    it("should parse traceparent", function() {
+        assert.deepStrictEqual(trace.parseTraceparent("00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"), {
+            traceId: "4bf92f3577b34da6a3ce929d0e0e4736",
+            parentId: "00f067aa0ba902b7"
+        });
+        // future versions can have more fields
+        assert.deepStrictEqual(trace.parseTraceparent(" 01-4BF92F3577B34DA6A3CE929D0E0E4736-00F067AA0BA902B7-00-future "), {
+            traceId: "4bf92f3577b34da6a3ce929d0e0e4736",
+            parentId: "00f067aa0ba902b7"
+        });
+    });
+
+    it("should ignore invalid traceparent", function() {
+        assert.strictEqual(trace.parseTraceparent(undefined), undefined);
+        assert.strictEqual(trace.parseTraceparent(""), undefined);
+        assert.strictEqual(trace.parseTraceparent("00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7"), undefined);
+        assert.strictEqual(trace.parseTraceparent("00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01-extra"), undefined);
+        assert.strictEqual(trace.parseTraceparent("ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"), undefined);
+        assert.strictEqual(trace.parseTraceparent("00-00000000000000000000000000000000-00f067aa0ba902b7-01"), undefined);
+        assert.strictEqual(trace.parseTraceparent("00-4bf92f3577b34da6a3ce929d0e0e4736-0000000000000000-01"), undefined);
+        assert.strictEqual(trace.parseTraceparent("00-xyz92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"), undefined);
+    });
+
+    describe("Span", function() {
+
+        it("should return span in Trace API format", async function() {
+            const span = new trace.Span({
+                name: "download",
+                traceId: "trace-id",
+                parentId: "parent-id",
+                attributes: { file: { size: 10 } }
+            });
+            span.add({ cached: false });
+            await sleep(10);
+            assert.ok(span.end());
+
+            const result = span.toTraceApi();
+            assert.ok(/^[0-9a-f]{16}$/.test(result.id));
+            assert.strictEqual(result["trace.id"], "trace-id");
+            assert.ok(result.timestamp > 0);
+            assert.ok(result.attributes["duration.ms"] >= 9);
+            assert.deepStrictEqual({ ...result.attributes, "duration.ms": 0 }, {
+                name: "download",
+                "duration.ms": 0,
+                "parent.id": "parent-id",
+                file_size: 10,
+                cached: 0
+            });
+        });
+
+        it("should end only once and record error", function() {
+            const span = new trace.Span({ name: "root", traceId: "trace-id", id: "span-id", timestamp: 1000 });
+            assert.ok(span.end(new TypeError("failed"), 5));
+            assert.ok(!span.end(undefined, 10));
+
+            assert.deepStrictEqual(span.toTraceApi(), {
+                id: "span-id",
+                "trace.id": "trace-id",
+                timestamp: 1000,
+                attributes: {
+                    name: "root",
+                    "duration.ms": 5,
+                    error: true,
+                    "error.class": "TypeError",
+                    "error.message": "failed"
+                }
+            });
+        });
+    });
+});